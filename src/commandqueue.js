@@ -0,0 +1,218 @@
+// Paced outbound command queue for a Denon/Marantz AV Receiver
+// Part of homebridge-denon-accfactory
+//
+// Receivers will drop commands sent too quickly after each other, so we pace what we send
+// Queued commands which are superseded by a newer one (ie: volume slider being dragged) are coalesced, so only the last is sent
+// Where we know how the receiver will echo a command back, we wait for that echo, resending the command if it doesn't arrive
+// Commands which step or store (ie: volume up, next preset) are never resent, as a missed echo doesn't mean the command wasn't actioned
+// Background commands (ie: a burst of queries) are sent after any other queued commands, so they don't hold up commands from users
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { setTimeout, clearTimeout } from 'node:timers';
+
+const COMMANDSPACING = 100; // Default minimum time between sent commands in ms
+const ACKTIMEOUT = 1000; // Default time to wait for a command to be echoed back in ms
+const ACKRETRIES = 2; // Default number of times we'll resend a command which wasn't echoed back
+
+export default class CommandQueue {
+  // Commands which replace any earlier queued command with the same key
+  static Coalesce = [
+    { pattern: /^(MV|Z2|Z3)(\d{2,3})$/, key: (match) => match[1] + 'VOLUME' },
+    { pattern: /^(SI)(?!.*\?$)(.+)$/, key: (match) => match[1] + 'SOURCE' },
+  ];
+
+  // How the receiver echoes back commands we send. The first match is used
+  // Commands without an entry here are considered complete once sent. Entries with retry set to false are never resent
+  static Acknowledgements = [
+    // Queries are answered with one or more lines starting with the same prefix
+    { pattern: /^(.+?)\s?\?$/, echo: (match) => (line) => line.startsWith(match[1]) },
+    // Volume changes are echoed back with the resulting volume, which may differ from that asked for
+    { pattern: /^(MV|Z2|Z3)(UP|DOWN)$/, echo: (match) => (line) => new RegExp('^' + match[1] + '\\d{2,3}$').test(line), retry: false },
+    { pattern: /^(MV|Z2|Z3)(\d{2,3})$/, echo: (match) => (line) => new RegExp('^' + match[1] + '\\d{2,3}$').test(line) },
+    // Tuner steps and storing a preset are answered with the resulting frequency or preset, ie: TPANUP gives TPAN04
+    { pattern: /^TFAN(UP|DOWN)$/, echo: () => (line) => /^TFAN\d{6}$/.test(line), retry: false },
+    { pattern: /^TPAN(UP|DOWN|MEM\d{2})$/, echo: () => (line) => /^TPAN\d{2}$/.test(line), retry: false },
+    // Storing a Quick Select/Smart Select is echoed back with the slot
+    {
+      pattern: /^(MS|Z2|Z3)(QUICK|SMART)(\d) MEMORY$/,
+      echo: (match) => (line) => line.startsWith(match[1] + match[2] + match[3]),
+      retry: false,
+    },
+    // Power, mute, source and tuner changes are echoed back as sent
+    { pattern: /^(ZM|MU|SI|Z2|Z3|TMAN|TPAN)/, echo: (match) => (line) => line === match.input },
+  ];
+
+  // Internal data only for this class
+  #send = undefined; // Function to send a command to the receiver
+  #options = {};
+  #queue = []; // Commands waiting to be sent
+  #inflight = undefined; // Command sent and waiting for an acknowledgement
+  #processing = false;
+
+  constructor(send, options) {
+    this.#send = send;
+    this.#options = {
+      spacing: isNaN(options?.spacing) === false && Number(options.spacing) >= 0 ? Number(options.spacing) : COMMANDSPACING,
+      timeout: isNaN(options?.timeout) === false && Number(options.timeout) > 0 ? Number(options.timeout) : ACKTIMEOUT,
+      retries: isNaN(options?.retries) === false && Number(options.retries) >= 0 ? Number(options.retries) : ACKRETRIES,
+      echo: typeof options?.echo === 'function' ? options.echo : () => true,
+    };
+  }
+
+  // Class functions
+  enqueue(command, options) {
+    // Add command to the queue. Returns a promise which resolves to true if the command was sent (and acknowledged if expected)
+    // Options can override the acknowledgement timeout and retries for this command only, and mark it as a background command
+    if (typeof command !== 'string' || command.trim() === '') {
+      return Promise.resolve(false);
+    }
+
+    command = command.trim();
+    options = {
+      timeout: isNaN(options?.timeout) === false && Number(options.timeout) > 0 ? Number(options.timeout) : this.#options.timeout,
+      retries: isNaN(options?.retries) === false && Number(options.retries) >= 0 ? Number(options.retries) : this.#options.retries,
+      background: options?.background === true,
+    };
+    return new Promise((resolve) => {
+      let key = undefined;
+      CommandQueue.Coalesce.some((coalesce) => {
+        let match = command.match(coalesce.pattern);
+        if (match !== null) {
+          key = coalesce.key(match);
+        }
+        return match !== null;
+      });
+
+      let queued = key !== undefined ? this.#queue.find((entry) => entry.key === key) : undefined;
+      if (queued !== undefined) {
+        // There is a command waiting to be sent that this one supersedes, so replace it. Anyone waiting on that command gets our result
+        queued.command = command;
+        queued.options = options;
+        queued.waiting.push(resolve);
+      }
+      if (queued === undefined) {
+        // Background commands go to the end of the queue, other commands ahead of any waiting background commands
+        let index = options.background === false ? this.#queue.findIndex((entry) => entry.options.background === true) : -1;
+        this.#queue.splice(index !== -1 ? index : this.#queue.length, 0, {
+          command: command,
+          key: key,
+          options: options,
+          waiting: [resolve],
+        });
+      }
+
+      this.#processQueue();
+    });
+  }
+
+  acknowledge(line) {
+    // Check if a received line is the echo of the command we're waiting on
+    if (typeof line === 'string' && typeof this.#inflight?.echo === 'function' && this.#inflight.echo(line) === true) {
+      this.#inflight.acknowledged();
+    }
+  }
+
+  clear() {
+    // Remove any queued commands, resolving their promises as not sent
+    this.#queue.forEach((entry) => {
+      entry.waiting.forEach((resolve) => resolve(false));
+    });
+    this.#queue = [];
+    if (typeof this.#inflight?.cancel === 'function') {
+      this.#inflight.cancel();
+    }
+  }
+
+  get length() {
+    return this.#queue.length;
+  }
+
+  async #processQueue() {
+    if (this.#processing === true) {
+      return;
+    }
+
+    this.#processing = true;
+    while (this.#queue.length !== 0) {
+      let entry = this.#queue.shift();
+      let result = false;
+
+      let echo = undefined;
+      let retries = entry.options.retries;
+      CommandQueue.Acknowledgements.some((acknowledgement) => {
+        let match = entry.command.match(acknowledgement.pattern);
+        if (match !== null) {
+          echo = acknowledgement.echo(match);
+          retries = acknowledgement.retry === false ? 0 : retries;
+        }
+        return match !== null;
+      });
+
+      for (let attempt = 0; attempt <= retries && result === false; attempt++) {
+        let acknowledged = this.#waitAcknowledge(
+          echo !== undefined && this.#options.echo() === true ? echo : undefined,
+          entry.options.timeout,
+        );
+        let sent = await Promise.resolve()
+          .then(() => this.#send(entry.command))
+          .catch(() => false);
+        if (sent !== true) {
+          // Failed to send the command, so no point waiting for an acknowledgement
+          this.#inflight?.cancel();
+        }
+        if (sent === true) {
+          // Sending can be held while the receiver connects, so we only start timing the acknowledgement once sent
+          this.#inflight?.start();
+        }
+        result = (await acknowledged) === true && sent === true;
+
+        // Small delay before the next command to allow "paced" sending
+        await new Promise((resolve) => setTimeout(resolve, this.#options.spacing));
+
+        if (sent !== true) {
+          break;
+        }
+      }
+
+      entry.waiting.forEach((resolve) => resolve(result));
+    }
+    this.#processing = false;
+  }
+
+  #waitAcknowledge(echo, timeout) {
+    if (echo === undefined) {
+      // Not expecting an echo for this command, so it's complete once sent
+      this.#inflight = undefined;
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      let timer = undefined;
+
+      this.#inflight = {
+        echo: echo,
+        start: () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            this.#inflight = undefined;
+            resolve(false);
+          }, timeout);
+        },
+        acknowledged: () => {
+          clearTimeout(timer);
+          this.#inflight = undefined;
+          resolve(true);
+        },
+        cancel: () => {
+          clearTimeout(timer);
+          this.#inflight = undefined;
+          resolve(false);
+        },
+      };
+    });
+  }
+}
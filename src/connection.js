@@ -0,0 +1,223 @@
+// Connection lifecycle for a Denon/Marantz AV Receiver
+// Part of homebridge-denon-accfactory
+//
+// Manages the Telnet connection to a receiver, reconnecting with an exponential backoff when lost
+// Receivers only allow one Telnet client, so if the port is refused or held by another client we fall back to the REST API,
+// while periodically checking if the Telnet port has become available again
+// Connections can also be limited to only Telnet or only the REST API
+//
+// States are:
+// connecting     - attempting to establish a Telnet connection
+// telnet-online  - Telnet connection established
+// rest-online    - Telnet unavailable, but the receiver is reachable via the REST API
+// backoff        - connection lost or failed, waiting before trying again
+// offline        - receiver unreachable after repeated attempts, or connection stopped
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import { setTimeout, clearTimeout } from 'node:timers';
+import net from 'node:net';
+
+const TELNETPORT = 23;
+const CONNECTTIMEOUT = 5000; // Time to wait for a Telnet connection to be established in ms
+const MINBACKOFF = 1000; // Initial delay before reconnecting in ms
+const MAXBACKOFF = 60000; // Maximum delay before reconnecting in ms
+const HELDTIME = 2000; // A connection closed within this time without any data is treated as the port being held by another client
+
+export default class ReceiverConnection extends EventEmitter {
+  static State = {
+    CONNECTING: 'connecting',
+    TELNET: 'telnet-online',
+    REST: 'rest-online',
+    BACKOFF: 'backoff',
+    OFFLINE: 'offline',
+  };
+
+  static STATECHANGE = 'statechange'; // Event emitted with (newState, previousState)
+  static DATA = 'data'; // Event emitted with data received via Telnet
+
+  // Internal data only for this class
+  #options = {};
+  #socket = undefined;
+  #state = ReceiverConnection.State.OFFLINE;
+  #timer = undefined;
+  #attempts = 0; // Number of failed connection attempts since we were last online
+  #stopped = true;
+
+  constructor(options) {
+    super();
+
+    this.#options = {
+      host: options?.host,
+      port: isNaN(options?.port) === false ? Number(options.port) : TELNETPORT,
+      minBackoff: isNaN(options?.minBackoff) === false && Number(options.minBackoff) > 0 ? Number(options.minBackoff) : MINBACKOFF,
+      maxBackoff: isNaN(options?.maxBackoff) === false && Number(options.maxBackoff) > 0 ? Number(options.maxBackoff) : MAXBACKOFF,
+      telnet: options?.telnet !== false, // Use Telnet where available
+      rest: options?.rest !== false, // Fallback to the REST API when Telnet is unavailable
+      checkREST: typeof options?.checkREST === 'function' ? options.checkREST : async () => false,
+    };
+  }
+
+  // Class functions
+  get state() {
+    return this.#state;
+  }
+
+  get host() {
+    // Host can be given as a function, so we always connect to the receivers current address
+    return typeof this.#options.host === 'function' ? this.#options.host() : this.#options.host;
+  }
+
+  get online() {
+    return this.#state === ReceiverConnection.State.TELNET || this.#state === ReceiverConnection.State.REST;
+  }
+
+  start() {
+    if (this.#stopped === false) {
+      return;
+    }
+
+    this.#stopped = false;
+    this.#attempts = 0;
+    this.#connect();
+  }
+
+  stop() {
+    // Close any open socket and cancel any pending reconnection
+    this.#stopped = true;
+    clearTimeout(this.#timer);
+    this.#timer = undefined;
+    if (this.#socket !== undefined) {
+      this.#socket.destroy();
+      this.#socket = undefined;
+    }
+    this.#setState(ReceiverConnection.State.OFFLINE);
+  }
+
+  write(data) {
+    // Send data via Telnet if we're connected
+    if (this.#state !== ReceiverConnection.State.TELNET || this.#socket === undefined || this.#socket.readyState !== 'open') {
+      return false;
+    }
+
+    this.#socket.write(data);
+    return true;
+  }
+
+  #connect() {
+    if (this.#stopped === true || typeof this.host !== 'string' || this.host === '') {
+      return;
+    }
+
+    if (this.#state !== ReceiverConnection.State.REST) {
+      // If we're online via REST, we'll stay in that state while we check if Telnet is available again
+      this.#setState(ReceiverConnection.State.CONNECTING);
+    }
+
+    if (this.#options.telnet === false) {
+      // Only using the REST API, so treat Telnet as always unavailable
+      this.#reconnect(true);
+      return;
+    }
+
+    let connected = false;
+    let confirmed = false;
+    let confirmTimer = undefined;
+    let lastError = undefined;
+
+    let socket = net.createConnection({ host: this.host, port: this.#options.port });
+    this.#socket = socket;
+    socket.setTimeout(CONNECTTIMEOUT);
+
+    const confirm = () => {
+      // Connection has stayed open or we've received data, so we can consider ourselves online via Telnet
+      clearTimeout(confirmTimer);
+      confirmed = true;
+      this.#attempts = 0;
+      this.#setState(ReceiverConnection.State.TELNET);
+    };
+
+    socket.on('connect', () => {
+      socket.setTimeout(0);
+      socket.setKeepAlive(true); // Keep socket connection alive
+      connected = true;
+      confirmTimer = setTimeout(confirm, HELDTIME);
+    });
+
+    socket.on('timeout', () => {
+      let error = new Error('Connection timed out');
+      error.code = 'ETIMEDOUT';
+      socket.destroy(error);
+    });
+
+    socket.on('data', (data) => {
+      if (confirmed === false) {
+        confirm();
+      }
+      this.emit(ReceiverConnection.DATA, data);
+    });
+
+    socket.on('error', (error) => {
+      lastError = error;
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    socket.on('close', (hadError) => {
+      clearTimeout(confirmTimer);
+      if (this.#socket === socket) {
+        this.#socket = undefined;
+      }
+      if (this.#stopped === true) {
+        return;
+      }
+
+      // Connection refused, or accepted then dropped straight away, means another client has the Telnet port
+      this.#reconnect(lastError?.code === 'ECONNREFUSED' || (connected === true && confirmed === false));
+    });
+  }
+
+  async #reconnect(held) {
+    let delay = Math.min(this.#options.maxBackoff, this.#options.minBackoff * Math.pow(2, this.#attempts));
+    this.#attempts++;
+
+    let restOnline = false;
+    if (this.#options.rest === true && (held === true || this.#state === ReceiverConnection.State.REST)) {
+      // Telnet isn't available, so see if we can use the REST API until it is
+      restOnline = await Promise.resolve()
+        .then(() => this.#options.checkREST())
+        .catch(() => false);
+      if (this.#stopped === true) {
+        return;
+      }
+    }
+
+    if (restOnline === true) {
+      this.#setState(ReceiverConnection.State.REST);
+      delay = this.#options.maxBackoff; // Only need to check Telnet availability occasionally
+    }
+    if (restOnline === false) {
+      // Once we've backed off to the maximum delay, we'll consider the receiver offline, but keep trying
+      this.#setState(delay >= this.#options.maxBackoff ? ReceiverConnection.State.OFFLINE : ReceiverConnection.State.BACKOFF);
+    }
+
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => {
+      this.#timer = undefined;
+      this.#connect();
+    }, delay);
+  }
+
+  #setState(state) {
+    if (state === this.#state) {
+      return;
+    }
+
+    let previousState = this.#state;
+    this.#state = state;
+    this.emit(ReceiverConnection.STATECHANGE, state, previousState);
+  }
+}
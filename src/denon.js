@@ -10,19 +10,205 @@ import { parseString } from 'xml2js';
 
 // Define nodejs module requirements
 import EventEmitter from 'node:events';
-import { setInterval, clearInterval, setTimeout } from 'node:timers';
-import crypto from 'node:crypto';
+import { setInterval, clearInterval, setTimeout, clearTimeout } from 'node:timers';
 import dgram from 'node:dgram';
-import net from 'node:net';
+import https from 'node:https';
+import { Buffer } from 'node:buffer';
 import { URL } from 'node:url';
 
 // Import our modules
 import HomeKitDevice from './HomeKitDevice.js';
 import AVReceiver from './receiver.js';
+import TelnetParser from './telnetparser.js';
+import CommandQueue from './commandqueue.js';
+import ReceiverConnection from './connection.js';
+import TelnetProxy from './telnetproxy.js';
+import HeosClient from './heos.js';
+import MDNSBrowser from './mdns.js';
+import VolumeCurve from './volume.js';
 
 const UPDTIMEOUT = 10000;
 const UDPDISCOVERYDONE = 'UDPDISCOVERYDONE';
+const NEGATIVECACHETIME = 900000; // Time before we'll check again an address found not to be a receiver, 15 minutes
+const DENONMATCH = /denon|marantz|heos|knos/i; // SSDP headers or mDNS names/TXT records which identify a Denon/Marantz receiver
+const SSDPSEARCHTARGETS = ['ssdp:all', 'upnp:rootdevice', 'urn:schemas-upnp-org:device:MediaRenderer:1'];
+const MDNSSERVICES = {
+  HEOS: '_heos-audio._tcp.local',
+  HTTP: '_http._tcp.local',
+};
+const REMOVEAFTER = 7; // Default number of days before removing accessories for receivers we haven't seen
 const SUBSCRIBEINTERVAL = 2000; // Get system details every 2 seconds
+const CONNECTWAIT = 10000; // Time to hold commands while connecting to the receiver in ms
+const RESYNCTIMEOUT = 250; // Time to wait for a resync query to be answered in ms
+const APPCOMMANDS = [
+  'GetAllZonePowerStatus',
+  'GetAllZoneSource',
+  'GetAllZoneVolume',
+  'GetAllZoneMuteStatus',
+  'GetTunerStatus',
+  'GetRenameSource',
+  'GetDeletedSource',
+  'GetZoneName',
+  'GetSurroundModeStatus',
+]; // Status commands we request from the AppCommand API. Commands not supported by all models are last, so they can't shift the results
+const RESYNCCOMMANDS = [
+  'SSINFFRM ?', // Firmware information
+  'VIALL?', // "true" device serial number
+  'PW?', // System power
+  'ZM?', // Main zone power
+  'MV?', // Main zone volume and maximum volume
+  'MU?', // Main zone mute
+  'SI?', // Main zone source
+  'SLP?', // Main zone sleep timer
+  'Z2?', // Zone2 power, source and volume
+  'Z2MU?', // Zone2 mute
+  'Z2SLP?', // Zone2 sleep timer
+  'Z3?', // Zone3 power, source and volume
+  'Z3MU?', // Zone3 mute
+  'Z3SLP?', // Zone3 sleep timer
+  'TMAN?', // Tuner band and tuning mode
+  'TFAN?', // Tuner frequency
+  'TFANNAME?', // Tuner station name
+  'TPAN?', // Tuner preset
+  'TFANRT?', // Tuner RDS radio text
+  'DASTN?', // DAB station name
+  'DAENL?', // DAB ensemble name
+  'DADLS?', // DAB radio text
+  'NSE', // Network source on screen display, ie: now playing
+  'MS?', // Sound mode
+  'MSQUICK ?', // Main zone active Quick Select
+  'MSSMART ?', // Main zone active Smart Select (Marantz)
+  'Z2QUICK ?', // Zone2 active Quick Select
+  'Z2SMART ?', // Zone2 active Smart Select (Marantz)
+  'Z3QUICK ?', // Zone3 active Quick Select
+  'Z3SMART ?', // Zone3 active Smart Select (Marantz)
+  'PSMULTEQ: ?', // Audyssey MultEQ
+  'PSDYNEQ ?', // Dynamic EQ
+  'PSDYNVOL ?', // Dynamic Volume
+  'PSDIL ?', // Dialogue level adjust
+  'PSDEH ?', // Dialogue enhancer
+  'PSCINEMA EQ. ?', // Cinema EQ
+  'PSRSTR ?', // Audio restorer
+  'PSTONE CTRL ?', // Tone control
+  'ECO?', // ECO mode
+  'STBY?', // Auto standby
+  'PSBAS ?', // Main zone bass
+  'PSTRE ?', // Main zone treble
+  'PSSWL ?', // Subwoofer level
+  'CV?', // Channel levels
+  'PSDELAY ?', // Audio delay
+  'Z2PSBAS ?', // Zone2 bass
+  'Z2PSTRE ?', // Zone2 treble
+  'Z3PSBAS ?', // Zone3 bass
+  'Z3PSTRE ?', // Zone3 treble
+  'SSFUN ?', // Source names
+  'SSSOD ?', // Source hidden/shown
+  'OPTPN ?', // Tuner preset listing
+  'OPTPSTUNER ?', // Tuner preset skip status
+]; // Default queries sent to a receiver each time we (re)connect via Telnet
+const TRUSTEDCERTIFICATES = {}; // Fingerprints of self-signed certificates presented by receivers using HTTPS, key'd by host
+const CHANGEDCERTIFICATES = {}; // Fingerprints of certificates presented which didn't match those trusted, key'd by host
+const AMPCOMMANDDELAY = 100; // Default minimum time between commands sent to a receiver in ms
+
+// Mapping of Telnet API source codes to the function names used in the REST API rename/delete source lists
+const SOURCEFUNCTIONNAMES = {
+  'SAT/CBL': 'CBL/SAT',
+  BD: 'BLU-RAY',
+  MPLAY: 'MEDIA PLAYER',
+  'USB/IPOD': 'IPOD/USB',
+  TV: 'TV AUDIO',
+  NET: 'NETWORK',
+  BT: 'BLUETOOTH',
+  SPOTIFY: 'SPOTIFYCONNECT',
+};
+
+// Audio processing and energy settings for the main zone, key'd by our id for the setting
+// command - Telnet API command to change the setting, which is followed by the option
+// options - options for the setting, with the first being off
+// aliases - options reported by some models, and the option we treat these as
+// rest    - parameter name and options by index for the setting in the AppCommand0300 API, if available there
+const SETTINGS = {
+  MULTEQ: {
+    name: 'Audyssey MultEQ',
+    command: 'PSMULTEQ:',
+    options: ['OFF', 'AUDYSSEY', 'BYP.LR', 'FLAT', 'MANUAL'],
+    aliases: {},
+    rest: { name: 'multeq', options: ['OFF', 'FLAT', 'BYP.LR', 'AUDYSSEY', 'MANUAL'] },
+  },
+  DYNEQ: {
+    name: 'Dynamic EQ',
+    command: 'PSDYNEQ ',
+    options: ['OFF', 'ON'],
+    aliases: {},
+    rest: { name: 'dynamiceq', options: ['OFF', 'ON'] },
+  },
+  DYNVOL: {
+    name: 'Dynamic Volume',
+    command: 'PSDYNVOL ',
+    options: ['OFF', 'LIT', 'MED', 'HEV'],
+    aliases: { DAY: 'LIT', EVE: 'MED', NGT: 'HEV' },
+    rest: { name: 'dynamicvol', options: ['OFF', 'LIT', 'MED', 'HEV'] },
+  },
+  DIALOGUELEVEL: { name: 'Dialogue Level', command: 'PSDIL ', options: ['OFF', 'ON'], aliases: {}, rest: undefined },
+  DIALOGUEENHANCER: { name: 'Dialogue Enhancer', command: 'PSDEH ', options: ['OFF', 'LOW', 'MED', 'HIGH'], aliases: {}, rest: undefined },
+  TONECONTROL: { name: 'Tone Control', command: 'PSTONE CTRL ', options: ['OFF', 'ON'], aliases: {}, rest: undefined },
+  CINEMAEQ: { name: 'Cinema EQ', command: 'PSCINEMA EQ.', options: ['OFF', 'ON'], aliases: {}, rest: undefined },
+  RESTORER: {
+    name: 'Restorer',
+    command: 'PSRSTR ',
+    options: ['OFF', 'MODE1', 'MODE2', 'MODE3'],
+    aliases: { LOW: 'MODE1', MED: 'MODE2', HI: 'MODE3' },
+    rest: undefined,
+  },
+  ECO: { name: 'ECO Mode', command: 'ECO', options: ['OFF', 'AUTO', 'ON'], aliases: {}, rest: undefined },
+  STANDBY: { name: 'Auto Standby', command: 'STBY', options: ['OFF', '15M', '30M', '60M'], aliases: {}, rest: undefined },
+};
+
+// Estimated power draw for a receiver in watts, used when not configured for the receiver. These are rough figures for a typical
+// AV receiver, so configuring the figures from the receivers specifications will give better energy history
+const POWERDRAW = {
+  standby: 0.5, // All zones off
+  idle: 50, // A zone on, but muted or at minimum volume
+  playing: 100, // A zone on and playing
+};
+const MAINSVOLTAGE = 230; // Default mains voltage, used to work out current for energy history
+const QUICKSELECTS = 4; // Default number of Quick Select/Smart Select slots for each zone, which most remotes have buttons for
+const MAXQUICKSELECTS = 5;
+
+// Default order for these input types in the Home app, which follow the receivers other inputs
+const INPUTORDER = ['NET', 'SPOTIFY', 'BLUETOOTH', 'IPOD/USB', 'RADIO', 'MEMORY', 'FAVOURITE', 'MAINZONE'];
+
+// Input types zones other than the main zone can play, for receivers which don't list the inputs for each zone in Deviceinfo.xml
+// These zones only have analogue audio, so can't play HDMI or digital inputs unless the model also has a HDMI output for Zone2
+const ZONEINPUTS = ['RADIO', 'MEMORY', 'CD', 'AUX', 'IPOD/USB', 'NET', 'BLUETOOTH', 'SPOTIFY', 'FAVOURITE', 'MAINZONE'];
+const HDMIZONEMODELS = /^(AVR-X[3-8]\d{3}|AVC-X[3-8]\d{3}|AVR-A1|AVC-A1|SR[6-8]\d{3}|AV[78]\d{3})/i; // Models with a HDMI output for Zone2
+
+// Sound modes we can select, key'd by our id for the mode
+// command    - Telnet API command to select the mode
+// status     - regular expression for the sound modes the receiver reports which we treat as this mode. Movie, Music and Game select
+//              the last mode used for that type of content, so the receiver never reports these
+// capability - regular expression for the sound mode names in Deviceinfo.xml, which indicate the receiver supports the mode
+// common     - mode is available on all receivers, used when the receiver doesn't list the modes it supports
+const SOUNDMODES = {
+  MOVIE: { name: 'Movie', command: 'MSMOVIE', status: undefined, capability: /MOVIE/, common: true },
+  MUSIC: { name: 'Music', command: 'MSMUSIC', status: undefined, capability: /MUSIC/, common: true },
+  GAME: { name: 'Game', command: 'MSGAME', status: undefined, capability: /GAME/, common: true },
+  AUTO: { name: 'Auto', command: 'MSAUTO', status: /^AUTO$/, capability: /AUTO/, common: true },
+  DIRECT: { name: 'Direct', command: 'MSDIRECT', status: /^DIRECT$/, capability: /^DIRECT$/, common: true },
+  PUREDIRECT: { name: 'Pure Direct', command: 'MSPURE DIRECT', status: /^PURE DIRECT$/, capability: /PURE/, common: false },
+  STEREO: { name: 'Stereo', command: 'MSSTEREO', status: /^STEREO$/, capability: /^STEREO$/, common: true },
+  MCHSTEREO: {
+    name: 'Multi Ch Stereo',
+    command: 'MSMCH STEREO',
+    status: /^(MCH|MULTI CH) STEREO$/,
+    capability: /MCH|MULTI/,
+    common: false,
+  },
+  DOLBY: { name: 'Dolby Surround', command: 'MSDOLBY DIGITAL', status: /DOLBY|DSUR|\+DS$/, capability: /DOLBY/, common: false },
+  DTS: { name: 'DTS Neural:X', command: 'MSDTS SURROUND', status: /DTS|NEURAL/, capability: /DTS|NEURAL/, common: false },
+  AURO3D: { name: 'Auro-3D', command: 'MSAURO3D', status: /AURO/, capability: /AURO/, common: false },
+  VIRTUAL: { name: 'Virtual', command: 'MSVIRTUAL', status: /^VIRTUAL$/, capability: /VIRTUAL/, common: false },
+};
 
 export default class DenonAccfactory {
   static Inputs = {
@@ -40,15 +226,30 @@ export default class DenonAccfactory {
     NETWORK: 'NET',
     BLUETOOTH: 'BLUETOOTH',
     SPOTIFY: 'SPOTIFY',
+    FAVOURITE: 'FAVOURITE',
+    MAINZONE: 'MAINZONE',
+  };
+
+  static APIFlavour = {
+    HTTP: 'http', // REST API via HTTP on port 80 or 8080
+    HTTPS: 'https', // REST API via HTTPS on port 10443, 2016 onwards models
+  };
+
+  static Transport = {
+    AUTO: 'auto', // Telnet, falling back to REST API if Telnet is unavailable
+    TELNET: 'telnet',
+    REST: 'rest',
   };
 
   cachedAccessories = []; // Track restored cached accessories
 
   // Internal data only for this class
-  #connections = {}; // Object of confirmed connections
+  #connections = {}; // Object of connection managers, key'd by MAC address
   #rawData = {}; // Cached copy of data from Rest and Telnet APIs
   #eventEmitter = new EventEmitter(); // Used for object messaging from this platform
   #connectionTimer = undefined;
+  #discoveryTimer = undefined; // Timer for an in progress device discovery
+  #negativeCache = {}; // Addresses found not to be a receiver, with when we'll check them again. key'd by address
   #trackedDevices = {}; // Object of devices we've created. used to track comms uuid. key'd by serial #
 
   constructor(log, config, api) {
@@ -59,6 +260,71 @@ export default class DenonAccfactory {
     // Perform validation on the configuration passed into us and set defaults if not present
     this.config.options.autoDiscover = typeof this.config.options?.autoDiscover === 'boolean' ? this.config.options.autoDiscover : true;
     this.config.options.eveHistory = typeof this.config.options?.eveHistory === 'boolean' ? this.config.options.eveHistory : true;
+    this.config.options.heos = typeof this.config.options?.heos === 'boolean' ? this.config.options.heos : true;
+    this.config.options.commandDelay =
+      isNaN(this.config.options?.commandDelay) === false && Number(this.config.options.commandDelay) >= 0
+        ? Number(this.config.options.commandDelay)
+        : AMPCOMMANDDELAY;
+    this.config.options.resyncCommands =
+      Array.isArray(this.config.options?.resyncCommands) === true &&
+      this.config.options.resyncCommands.some((command) => typeof command === 'string' && command.trim() !== '') === true
+        ? this.config.options.resyncCommands.filter((command) => typeof command === 'string' && command.trim() !== '')
+        : RESYNCCOMMANDS;
+    this.config.options.transport = Object.values(DenonAccfactory.Transport).includes(this.config.options?.transport)
+      ? this.config.options.transport
+      : DenonAccfactory.Transport.AUTO;
+
+    this.config.options.removeAfter =
+      isNaN(this.config.options?.removeAfter) === false && Number(this.config.options.removeAfter) >= 0
+        ? Number(this.config.options.removeAfter)
+        : REMOVEAFTER;
+    this.config.options.zoneAccessories =
+      typeof this.config.options?.zoneAccessories === 'boolean' ? this.config.options.zoneAccessories : false;
+
+    // Per receiver configuration, matched to a receiver by its MAC address or serial number, or by its address
+    // Can be given as an array of device configurations, or an object of device configurations key'd by MAC address or serial number
+    let devices = Array.isArray(this.config?.devices) === true ? this.config.devices : [];
+    if (Array.isArray(this.config?.devices) === false && typeof this.config?.devices === 'object' && this.config.devices !== null) {
+      devices = Object.entries(this.config.devices).map(([id, device]) => ({ ...device, id: id }));
+    }
+    this.config.devices = devices
+      .filter((device) => typeof device === 'object' && device !== null)
+      .map((device) => ({
+        id: typeof device?.id === 'string' && makeDeviceID(device.id) !== '' ? makeDeviceID(device.id) : undefined,
+        system: typeof device?.system === 'string' && device.system.trim() !== '' ? device.system.trim() : undefined,
+        exclude: device?.exclude === true,
+        name: typeof device?.name === 'string' && makeHomeKitName(device.name) !== '' ? makeHomeKitName(device.name) : undefined,
+        zones:
+          Array.isArray(device?.zones) === true && device.zones.length !== 0
+            ? device.zones.map((zone) => Number(zone)).filter((zone) => zone >= 1 && zone <= 3)
+            : undefined,
+        zoneAccessories: typeof device?.zoneAccessories === 'boolean' ? device.zoneAccessories : undefined,
+        transport: Object.values(DenonAccfactory.Transport).includes(device?.transport) === true ? device.transport : undefined,
+        proxyPort:
+          typeof device?.proxyPort === 'number' && device.proxyPort >= 1 && device.proxyPort <= 65535 ? device.proxyPort : undefined,
+        proxyAddress:
+          typeof device?.proxyAddress === 'string' && device.proxyAddress.trim() !== '' ? device.proxyAddress.trim() : undefined,
+        soundModes: makeInputList(device?.soundModes),
+        inputs: makeInputList(device?.inputs),
+        hiddenInputs: makeInputList(device?.hiddenInputs),
+        inputOrder: makeInputList(device?.inputOrder),
+        quickSelects:
+          typeof device?.quickSelects === 'number' && device.quickSelects >= 0 && device.quickSelects <= MAXQUICKSELECTS
+            ? Math.floor(device.quickSelects)
+            : undefined,
+        volumeProfile: Object.values(VolumeCurve.Profile).includes(device?.volumeProfile) === true ? device.volumeProfile : undefined,
+        volumeFloor: typeof device?.volumeFloor === 'number' ? device.volumeFloor : undefined,
+        volumeCeiling: typeof device?.volumeCeiling === 'number' ? device.volumeCeiling : undefined,
+        powerStandby: typeof device?.powerStandby === 'number' && device.powerStandby >= 0 ? device.powerStandby : undefined,
+        powerIdle: typeof device?.powerIdle === 'number' && device.powerIdle >= 0 ? device.powerIdle : undefined,
+        powerPlaying: typeof device?.powerPlaying === 'number' && device.powerPlaying >= 0 ? device.powerPlaying : undefined,
+        voltage: typeof device?.voltage === 'number' && device.voltage > 0 ? device.voltage : undefined,
+        zoneCeilings: Object.fromEntries(
+          (Array.isArray(device?.zoneCeilings) === true ? device.zoneCeilings : [])
+            .filter((zoneCeiling) => isNaN(zoneCeiling?.zone) === false && typeof zoneCeiling?.ceiling === 'number')
+            .map((zoneCeiling) => [Number(zoneCeiling.zone), zoneCeiling.ceiling]),
+        ),
+      }));
 
     this.api.on('didFinishLaunching', async () => {
       // We got notified that Homebridge has finished loading, so we are ready to process
@@ -66,6 +332,7 @@ export default class DenonAccfactory {
       Object.keys(this.#rawData).forEach((macAddress) => {
         this.#subscribeTelnet(macAddress);
       });
+      this.#reconcileAccessories();
 
       // We'll check connection status every 1 minute
       clearInterval(this.#connectionTimer);
@@ -74,6 +341,7 @@ export default class DenonAccfactory {
         Object.keys(this.#rawData).forEach((macAddress) => {
           this.#subscribeTelnet(macAddress);
         });
+        this.#reconcileAccessories();
       }, 60000);
     });
 
@@ -81,17 +349,32 @@ export default class DenonAccfactory {
       // We got notified that Homebridge is shutting down
       // Perform cleanup some internal cleaning up
       Object.values(this.#connections).forEach((connection) => {
-        if (connection.tcpSocket !== undefined) {
-          connection.tcpSocket.end();
-        }
+        connection.removeAllListeners();
+        connection.stop();
+      });
+      Object.keys(this.#rawData).forEach((macAddress) => {
+        this.#rawData[macAddress]?.commandQueue?.clear();
+        this.#rawData[macAddress]?.telnetProxy?.stop();
+        this.#rawData[macAddress]?.heosClient?.stop();
+        this.#unsubscribeREST(macAddress);
       });
       clearInterval(this.#connectionTimer);
+      if (this.#discoveryTimer !== undefined) {
+        // Device discovery is in progress, so finish it now
+        clearTimeout(this.#discoveryTimer);
+        this.#discoveryTimer = undefined;
+        this.#eventEmitter.emit(UDPDISCOVERYDONE);
+      }
       this.#eventEmitter.removeAllListeners();
     });
 
     // Setup event listeners for set/get calls from devices if not already done so
-    this.#eventEmitter.addListener(HomeKitDevice.SET, (uuid, values) => {
-      this.#set(uuid, values);
+    this.#eventEmitter.addListener(HomeKitDevice.SET, async (uuid, values) => {
+      let results = await this.#set(uuid, values);
+      // If the device is waiting on the outcome of the set, send the results back via a special event (only if still active)
+      if (typeof values?.id === 'string' && this.#eventEmitter !== undefined) {
+        this.#eventEmitter.emit(HomeKitDevice.SET + '->' + values.id, results);
+      }
     });
     this.#eventEmitter.addListener(HomeKitDevice.GET, async (uuid, values) => {
       let results = await this.#get(uuid, values);
@@ -111,515 +394,621 @@ export default class DenonAccfactory {
   }
 
   async discoverDevices() {
-    let timeoutTimer = undefined;
-
     if (this.config.options.autoDiscover === true) {
       this?.log?.debug && this.log.debug('Performing device discovery on local network');
-      let udpSocket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-
-      udpSocket.bind(30000, '0.0.0.0', () => {
-        udpSocket.addMembership('224.0.0.1');
-        udpSocket.setBroadcast(true);
-
-        let udpQuery1 =
-          'M-SEARCH * HTTP/1.1\r\n' + 'HOST:239.255.255.250:1900\r\n' + 'MAN:"ssdp:discover"\r\n' + 'ST:ssdp:all\r\n' + 'MX:2\r\n' + '\r\n';
-        let udpQuery2 =
-          'M-SEARCH * HTTP/1.1\r\n' +
-          'HOST:239.255.255.250:1900\r\n' +
-          'MAN:"ssdp:discover"\r\n' +
-          'ST:upnp:rootdevice\r\n' +
-          'MX:2\r\n' +
-          '\r\n';
-        let udpQuery3 =
-          'M-SEARCH * HTTP/1.1\r\n' +
-          'HOST:239.255.255.250:1900\r\n' +
-          'MAN:"ssdp:discover"\r\n' +
-          'ST:urn:schemas-upnp-org:device:MediaRenderer:1\r\n' +
-          'MX:2\r\n' +
-          '\r\n';
-        udpSocket.send(udpQuery1, 0, udpQuery1.length, 1900, '239.255.255.250');
-        udpSocket.send(udpQuery2, 0, udpQuery2.length, 1900, '239.255.255.250');
-        udpSocket.send(udpQuery3, 0, udpQuery3.length, 1900, '239.255.255.250');
-
-        timeoutTimer = setTimeout(() => {
-          udpSocket.close();
-          this.#eventEmitter.emit(UDPDISCOVERYDONE);
-        }, UPDTIMEOUT);
-      });
 
-      udpSocket.on('message', async (chunk, info) => {
-        // Callback triggered when we've received a UDP response
-        let deviceInfo = await this.#getDeviceInfo(info.address);
-        if (deviceInfo?.deviceInfo?.MacAddress !== undefined) {
-          if (this.#rawData?.[deviceInfo.deviceInfo.MacAddress] === undefined) {
-            // Not previously found this device
-            this?.log?.debug && this.log.debug('Found device at "%s" with name "%s"', info.address, deviceInfo.sdp.friendlyName);
-            this.#rawData[deviceInfo.deviceInfo.MacAddress] = {
-              uuid: undefined,
-              system: info.address,
-              macAddress: deviceInfo.deviceInfo.MacAddress,
-              tcpSocket: undefined,
-              timer: undefined,
-              value: {
-                sdp: deviceInfo.sdp,
-                deviceInfo: deviceInfo.deviceInfo,
-                presets: deviceInfo.presets,
-                GetAllZonePowerStatus: deviceInfo.GetAllZonePowerStatus,
-                GetAllZoneMuteStatus: deviceInfo.GetAllZoneMuteStatus,
-                GetAllZoneVolume: deviceInfo.GetAllZoneVolume,
-                GetZoneName: deviceInfo.GetZoneName,
-                GetAllZoneSource: deviceInfo.GetAllZoneSource,
-                GetTunerStatus: deviceInfo.GetTunerStatus,
-                GetRenameSource: deviceInfo.GetRenameSource,
-                GetDeletedSource: deviceInfo.GetDeletedSource,
-              },
-            };
-          }
-          if (this.#rawData?.[deviceInfo?.deviceInfo?.MacAddress] !== undefined) {
-            // Previously found this system, so check if IP/Host has changed and update if so
-            if (this.#rawData[deviceInfo.deviceInfo.MacAddress].system !== info.address) {
-              this?.log?.debug &&
-                this.log.debug(
-                  'Previously discovered device "%s" at "%s" has changed to "%s"',
-                  deviceInfo.sdp.friendlyName,
-                  this.#rawData?.[deviceInfo.deviceInfo.MacAddress].system,
-                  info.address,
-                );
+      let checked = []; // Addresses we've already checked during this discovery
+      let pending = []; // Device checks in progress
+      const checkAddress = (address) => {
+        // Skip addresses already checked this discovery, known receivers and addresses recently found not to be a receiver
+        // Known receivers are still seen by this discovery. Those which have moved address aren't known at their new address,
+        // so are checked and updated with where we found them
+        let known = Object.values(this.#rawData).filter((device) => device.system === address);
+        known.forEach((device) => {
+          device.lastSeen = Date.now();
+        });
+        if (checked.includes(address) === true || known.length !== 0 || this.#negativeCache?.[address] > Date.now()) {
+          return;
+        }
+
+        checked.push(address);
+        pending.push(
+          this.#getDeviceInfo(address).then((deviceInfo) => {
+            if (deviceInfo?.deviceInfo?.MacAddress === undefined) {
+              // Not a receiver we can use, so don't check this address again for a while
+              this.#negativeCache[address] = Date.now() + NEGATIVECACHETIME;
+              return;
             }
-            this.#rawData[deviceInfo.deviceInfo.MacAddress].system = info.address;
-          }
+
+            delete this.#negativeCache[address];
+            this.#registerDevice(address, deviceInfo);
+          }),
+        );
+      };
+
+      // Discover via SSDP. Responses are sent directly back to our ephemeral port
+      let udpSocket = dgram.createSocket({ type: 'udp4' });
+
+      udpSocket.on('message', (chunk) => {
+        // Callback triggered when we've received a SSDP response. Only interested in responses which look to be from a receiver
+        let headers = {};
+        chunk
+          .toString()
+          .split('\r\n')
+          .forEach((line) => {
+            if (line.includes(':') === true) {
+              headers[line.substring(0, line.indexOf(':')).trim().toUpperCase()] = line.substring(line.indexOf(':') + 1).trim();
+            }
+          });
+
+        if (
+          typeof headers?.LOCATION === 'string' &&
+          URL.canParse(headers.LOCATION) === true &&
+          DENONMATCH.test([headers.SERVER, headers.LOCATION, headers.USN, headers.ST].join(' ')) === true
+        ) {
+          checkAddress(new URL(headers.LOCATION).hostname);
         }
       });
 
-      // Wait until we get notified that discovery has completed/reached timeout
+      // eslint-disable-next-line no-unused-vars
+      udpSocket.on('error', (error) => {
+        // Empty
+      });
+
+      udpSocket.bind(0, '0.0.0.0', () => {
+        SSDPSEARCHTARGETS.forEach((searchTarget) => {
+          let udpQuery =
+            'M-SEARCH * HTTP/1.1\r\n' +
+            'HOST:239.255.255.250:1900\r\n' +
+            'MAN:"ssdp:discover"\r\n' +
+            'ST:' +
+            searchTarget +
+            '\r\n' +
+            'MX:2\r\n' +
+            '\r\n';
+          udpSocket.send(udpQuery, 0, udpQuery.length, 1900, '239.255.255.250');
+        });
+      });
+
+      // Discover via mDNS. HEOS capable receivers advertise '_heos-audio._tcp', others only '_http._tcp' with identifying TXT records
+      let mdnsBrowser = new MDNSBrowser();
+      mdnsBrowser.on(MDNSBrowser.RESPONSE, (response) => {
+        if (response.service === MDNSSERVICES.HEOS || DENONMATCH.test([response.name, ...Object.values(response.txt)].join(' ')) === true) {
+          checkAddress(response.address);
+        }
+      });
+      mdnsBrowser.start(Object.values(MDNSSERVICES));
+
+      this.#discoveryTimer = setTimeout(() => {
+        this.#discoveryTimer = undefined;
+        this.#eventEmitter.emit(UDPDISCOVERYDONE);
+      }, UPDTIMEOUT);
+
+      // Wait until we get notified that discovery has completed/reached timeout, then for any device checks still in progress
       await EventEmitter.once(this.#eventEmitter, UDPDISCOVERYDONE);
+      udpSocket.close();
+      mdnsBrowser.stop();
+      await Promise.all(pending);
     }
 
-    if (this.config.options.autoDiscover === false && Array.isArray(this.config?.devices) === true) {
-      this.config.devices.forEach(async (device) => {
-        if (device?.system !== undefined && device?.system !== '') {
+    if (this.config.options.autoDiscover === false) {
+      await Promise.all(
+        this.config.devices.map(async (device) => {
+          if (device.system === undefined) {
+            return;
+          }
+
           let deviceInfo = await this.#getDeviceInfo(device.system);
           if (deviceInfo?.deviceInfo?.MacAddress === undefined) {
             this?.log?.error && this.log.error('Specified device "%s" could not be contacted', device.system);
+            return;
           }
-          if (this.#rawData?.[deviceInfo.deviceInfo.MacAddress] === undefined) {
-            // Not previously found this device
-            this?.log?.debug && this.log.debug('Validated device at "%s" with name "%s"', device.system, deviceInfo.sdp.friendlyName);
-            this.#rawData[deviceInfo.deviceInfo.MacAddress] = {
-              uuid: undefined,
-              system: device.system,
-              macAddress: deviceInfo.deviceInfo.MacAddress,
-              tcpSocket: undefined,
-              timer: undefined,
-              value: {
-                sdp: deviceInfo.sdp,
-                deviceInfo: deviceInfo.deviceInfo,
-                presets: deviceInfo.presets,
-                GetAllZonePowerStatus: deviceInfo.GetAllZonePowerStatus,
-                GetAllZoneMuteStatus: deviceInfo.GetAllZoneMuteStatus,
-                GetAllZoneVolume: deviceInfo.GetAllZoneVolume,
-                GetZoneName: deviceInfo.GetZoneName,
-                GetAllZoneSource: deviceInfo.GetAllZoneSource,
-                GetTunerStatus: deviceInfo.GetTunerStatus,
-                GetRenameSource: deviceInfo.GetRenameSource,
-                GetDeletedSource: deviceInfo.GetDeletedSource,
-              },
-            };
-            if (this.#rawData?.[deviceInfo?.deviceInfo?.MacAddress] !== undefined) {
-              // Previously found this system, so check if IP/Host has changed and update if so
-              if (this.#rawData[deviceInfo.deviceInfo.MacAddress].system !== device.system) {
-                this?.log?.debug &&
-                  this.log.debug(
-                    'Configured system "%s" at "%s" has changed to "%s"',
-                    deviceInfo.sdp.friendlyName,
-                    this.#rawData[deviceInfo.deviceInfo.MacAddress].system,
-                    device.system,
-                  );
-              }
-              this.#rawData[deviceInfo.deviceInfo.MacAddress].system = device.system;
-            }
-          }
-        }
-      });
+
+          this.#registerDevice(device.system, deviceInfo);
+        }),
+      );
     }
   }
 
+  #registerDevice(system, deviceInfo) {
+    // Add a discovered receiver to our registry, key'd by its MAC address, or update where we found it if already known
+    let macAddress = deviceInfo.deviceInfo.MacAddress;
+    if (this.#rawData?.[macAddress] === undefined) {
+      // Not previously found this device
+      this?.log?.debug && this.log.debug('Found device at "%s" with name "%s"', system, deviceInfo.sdp.friendlyName);
+      this.#rawData[macAddress] = {
+        uuid: undefined,
+        system: system,
+        macAddress: macAddress,
+        api: deviceInfo.api,
+        telnetParser: undefined,
+        telnetProxy: undefined,
+        heosClient: undefined,
+        commandQueue: this.#createCommandQueue(macAddress),
+        timer: undefined,
+        lastSeen: undefined,
+        value: {
+          sdp: deviceInfo.sdp,
+          deviceInfo: deviceInfo.deviceInfo,
+          presets: deviceInfo.presets,
+          GetAllZonePowerStatus: deviceInfo.GetAllZonePowerStatus,
+          GetAllZoneMuteStatus: deviceInfo.GetAllZoneMuteStatus,
+          GetAllZoneVolume: deviceInfo.GetAllZoneVolume,
+          GetZoneName: deviceInfo.GetZoneName,
+          GetAllZoneSource: deviceInfo.GetAllZoneSource,
+          GetTunerStatus: deviceInfo.GetTunerStatus,
+          GetRenameSource: deviceInfo.GetRenameSource,
+          GetDeletedSource: deviceInfo.GetDeletedSource,
+          GetSurroundModeStatus: deviceInfo.GetSurroundModeStatus,
+          GetAudyssey: deviceInfo.GetAudyssey,
+        },
+      };
+    }
+
+    // Previously found this system, so check if IP/Host has changed and update if so
+    if (this.#rawData[macAddress].system !== system) {
+      this?.log?.debug &&
+        this.log.debug(
+          'Previously discovered device "%s" at "%s" has changed to "%s"',
+          deviceInfo.sdp.friendlyName,
+          this.#rawData[macAddress].system,
+          system,
+        );
+    }
+    this.#rawData[macAddress].system = system;
+    this.#rawData[macAddress].api = deviceInfo.api;
+    this.#rawData[macAddress].lastSeen = Date.now();
+  }
+
   async #subscribeTelnet(macAddress) {
     if (typeof this.#rawData?.[macAddress] !== 'object') {
       // Not a valid connection object
       return;
     }
 
-    const DENON_COMMANDS = [
-      'MU',
-      'MV',
-      'ZM',
-      'Z2',
-      'Z3',
-      'SI',
-      'TMAN',
-      'TPMAN',
-      'TPAN',
-      'TFANNAME',
-      'TFAN',
-      'OPTPN',
-      'OPTPSTUNER',
-      'SSSOD',
-      'SSFUN',
-      'SSINFFRMAVR',
-      'VIALLS/N.',
-      'NSFRN',
-      'R1',
-      'R2',
-      'R3',
-      'SSVCTZMADIS',
-    ];
-
-    if (this.#rawData[macAddress].tcpSocket === undefined) {
-      let reconnectViaREST = false;
-      this.#rawData[macAddress].tcpSocket = net.createConnection({ host: this.#rawData[macAddress].system, port: 23 }, () => {
-        this.#rawData[macAddress].tcpSocket.setKeepAlive(true); // Keep socket connection alive
+    if (this.#connections?.[macAddress] === undefined) {
+      // Setup connection manager for this receiver. It'll handle reconnection and falling back to the REST API if Telnet is unavailable
+      this.#rawData[macAddress].telnetParser = new TelnetParser();
+      let transport = this.#getTransport(macAddress);
+      this.#connections[macAddress] = new ReceiverConnection({
+        host: () => this.#rawData[macAddress].system,
+        telnet: transport !== DenonAccfactory.Transport.REST,
+        rest: transport !== DenonAccfactory.Transport.TELNET,
+        checkREST: () => this.#checkREST(macAddress),
+      });
 
+      this.#connections[macAddress].on(ReceiverConnection.STATECHANGE, (state, previousState) => {
         this?.log?.debug &&
           this.log.debug(
-            'Established connection to "%s" at "%s" using Telnet API',
+            'Connection to "%s" at "%s" changed from "%s" to "%s"',
             this.#rawData[macAddress].value.sdp.friendlyName,
             this.#rawData[macAddress].system,
+            previousState,
+            state,
           );
 
-        // Send some commands to get further details from the device
-        this.#rawData[macAddress].tcpSocket.write('SSINFFRM ?\r'); // Allows to get firmware information.
-        this.#rawData[macAddress].tcpSocket.write('VIALL?\r'); // Allows to get the "true" device serial number
+        if (state === ReceiverConnection.State.TELNET) {
+          // If the receiver presented a different HTTPS certificate, trust it once we've confirmed it's still this receiver
+          // ie: receiver firmware update has generated a new self-signed certificate
+          trustChangedCertificate(this.#rawData[macAddress].api?.origin, macAddress);
+
+          // Start with a clean parser for this new connection
+          this.#rawData[macAddress].telnetParser.reset();
+
+          // Query the receiver for its current state, as anything could have changed while we weren't connected
+          // HomeKit will be updated once this has completed
+          this.#resync(macAddress);
+        }
+
+        if (state === ReceiverConnection.State.REST) {
+          // Telnet connection refused, held by another client or not wanted, so revert to REST API
+          this.subscribeREST(macAddress);
+        }
+        if (state !== ReceiverConnection.State.REST) {
+          this.#unsubscribeREST(macAddress);
+        }
+
+        if (state === ReceiverConnection.State.OFFLINE) {
+          // Anything still queued for this receiver won't be going anywhere
+          this.#rawData[macAddress].commandQueue.clear();
+        }
+
+        if (state !== ReceiverConnection.State.TELNET) {
+          // Let the accessory know about the change in connection state
+          this.#processPostSubscribe();
+        }
       });
 
-      // eslint-disable-next-line no-unused-vars
-      this.#rawData[macAddress].tcpSocket.on('close', (hadError) => {
+      this.#connections[macAddress].on(ReceiverConnection.DATA, (data) => {
+        // Share what we've received with any clients connected via our Telnet proxy
+        this.#rawData[macAddress]?.telnetProxy?.broadcast(data);
+
+        // Received data may contain more than one line of command strings, or only part of a line
+        // The parser buffers any partial line until the rest arrives, and gives back typed events for completed lines
+        // Every completed line can acknowledge a command we've sent, even those the parser doesn't understand
+        let events = this.#rawData[macAddress].telnetParser.push(data);
+        events.forEach((event) => {
+          this.#rawData[macAddress].commandQueue.acknowledge(event.raw);
+        });
+        events = events.filter((event) => event.kind !== TelnetParser.Kind.UNKNOWN);
+        if (events.length !== 0) {
+          events.forEach((event) => {
+            this.#processTelnetEvent(macAddress, event);
+          });
+
+          if (this.#rawData[macAddress].resyncing !== true) {
+            // Process any updated data
+            this.#processPostSubscribe();
+          }
+        }
+      });
+    }
+
+    if (this.#rawData[macAddress].heosClient === undefined && this.config.options.heos === true) {
+      // Alongside Telnet, connect to the receivers HEOS player (if it has one) for now playing details and favourites
+      this.#rawData[macAddress].heosClient = new HeosClient(() => this.#rawData[macAddress].system, {
+        serialNumber: () => this.#rawData[macAddress].value.sdp.serialNumber,
+      });
+      this.#rawData[macAddress].heosClient.on(HeosClient.ONLINE, (online) => {
         this?.log?.debug &&
           this.log.debug(
-            'Connection to "%s" at "%s" using Telnet API has closed',
+            '%s connection to "%s" at "%s" using HEOS CLI',
+            online === true ? 'Established' : 'Lost',
             this.#rawData[macAddress].value.sdp.friendlyName,
             this.#rawData[macAddress].system,
           );
-
-        this.#rawData[macAddress].tcpSocket = undefined;
+        this.#processPostSubscribe();
+      });
+      this.#rawData[macAddress].heosClient.on(HeosClient.CHANGE, (state) => {
+        this.#rawData[macAddress].value.heos = state;
+        this.#processPostSubscribe();
       });
+      this.#rawData[macAddress].heosClient.start();
+    }
 
-      this.#rawData[macAddress].tcpSocket.on('error', (error) => {
-        if (error.code === 'ECONNREFUSED') {
-          // Telnet connection refused, so revert to REST API
-          reconnectViaREST = true;
-        }
+    let proxyPort = this.#getDeviceConfig(macAddress)?.proxyPort;
+    let proxyAddress = this.#getDeviceConfig(macAddress)?.proxyAddress;
+    if (this.#rawData[macAddress].telnetProxy === undefined && isNaN(proxyPort) === false && Number(proxyPort) > 0) {
+      // Allow other tools to share our Telnet connection to the receiver via a local port
+      this.#rawData[macAddress].telnetProxy = new TelnetProxy(Number(proxyPort), proxyAddress);
+      this.#rawData[macAddress].telnetProxy.on(TelnetProxy.COMMAND, (command) => {
+        // Commands from proxy clients go via the same outbound queue as ours, so our state tracking sees the responses
+        // Volume commands are limited to the volume ceiling, the same as our own
+        this.#rawData[macAddress].commandQueue.enqueue(this.#limitVolume(macAddress, command));
+      });
+      this.#rawData[macAddress].telnetProxy.on(TelnetProxy.CLIENTS, (clients) => {
+        this?.log?.debug &&
+          this.log.debug(
+            'Telnet proxy for "%s" on port "%s" has %s client(s) connected%s',
+            this.#rawData[macAddress].value.sdp.friendlyName,
+            this.#rawData[macAddress].telnetProxy.port,
+            clients.length,
+            clients.length !== 0 ? ' "' + clients.join('", "') + '"' : '',
+          );
+      });
+      this.#rawData[macAddress].telnetProxy.on('error', (error) => {
+        this?.log?.warn &&
+          this.log.warn(
+            'Telnet proxy for "%s" on port "%s" failed with error "%s"',
+            this.#rawData[macAddress].value.sdp.friendlyName,
+            proxyPort,
+            String(error),
+          );
       });
+    }
 
-      this.#rawData[macAddress].tcpSocket.on('data', (data) => {
-        // Receievd data may contain more than one line of command strings, so we'll split the string into an array to process each line
-        data
-          .toString()
-          .trim()
-          .split('\r')
-          .forEach((dataline) => {
-            if (DENON_COMMANDS.filter((commandPrefix) => dataline.startsWith(commandPrefix)).length !== 0) {
-              let command = DENON_COMMANDS.filter((commandPrefix) => dataline.startsWith(commandPrefix)); // AMP command
-              command[1] = dataline.substring(command[0].length).trim(); // AMP command data
-
-              // Process the AMPs command(s) and associated data for the command
-
-              // Device info
-              if (command[0] === 'SSINFFRMAVR') {
-                // Device firmware version
-                this.#rawData[macAddress].value.sdp.firmwareVersion = command[1];
-              }
-              if (command[0] === 'VIALLS/N.') {
-                // Device serial number
-                this.#rawData[macAddress].value.sdp.serialNumber = command[1];
-              }
-              if (command[0] === 'NSFRN') {
-                // Device friendly name has changed
-                this.#rawData[macAddress].value.sdp.friendlyName = command[1];
-              }
-
-              // Zone power on/off
-              if (command[0] === 'ZM' && (command[1] === 'ON' || command[1] === 'OFF')) {
-                // Main zone on/off
-                this.#rawData[macAddress].value.GetAllZonePowerStatus.zone1 = command[1] === 'ON' ? 'ON' : 'OFF';
-              }
-              if (command[0] === 'Z2' && (command[1] === 'ON' || command[1] === 'OFF')) {
-                // Zone2 on/off
-                this.#rawData[macAddress].value.GetAllZonePowerStatus.zone2 = command[1] === 'ON' ? 'ON' : 'OFF';
-              }
-              if (command[0] === 'Z3' && (command[1] === 'ON' || command[1] === 'OFF')) {
-                // Zone3 on/off
-                this.#rawData[macAddress].value.GetAllZonePowerStatus.zone3 = command[1] === 'ON' ? 'ON' : 'OFF';
-              }
-
-              // Zone mute on/off
-              if (command[0] === 'MU' && (command[1] === 'ON' || command[1] === 'OFF')) {
-                // Main zone Mute On/Off
-                this.#rawData[macAddress].value.GetAllZoneMuteStatus.zone1 = command[1] === 'ON' ? 'on' : 'off';
-              }
-              if (command[0] === 'Z2' && (command[1] === 'MUON' || command[1] === 'MUOFF')) {
-                // Zone2 Mute On/Off
-                this.#rawData[macAddress].value.GetAllZoneMuteStatus.zone2 = command[1] === 'MUON' ? 'on' : 'off';
-              }
-              if (command[0] === 'Z3' && (command[1] === 'MUON' || command[1] === 'MUOFF')) {
-                // Zone3 Mute On/Off
-                this.#rawData[macAddress].value.GetAllZoneMuteStatus.zone3 = command[1] === 'MUON' ? 'on' : 'off';
-              }
-
-              // Volume type change (Absolute 0-98 or Relative -79.5db to 18db)
-              if (command[0] === 'SSVCTZMADIS' && (command[1] === 'ABS' || command[1] === 'REL')) {
-                if (command[1] === 'REL') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone1.disptype = 'RELATIVE';
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone1.dispvalue =
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume + 'dB';
-                  if (this.#rawData[macAddress].value.GetAllZoneVolume?.zone2 !== undefined) {
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone2.disptype = 'RELATIVE';
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone2.dispvalue =
-                      this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume + 'dB';
-                  }
-                  if (this.#rawData[macAddress].value.GetAllZoneVolume?.zone3 !== undefined) {
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone3.disptype = 'RELATIVE';
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone3.dispvalue =
-                      this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume + 'dB';
-                  }
-                }
-                if (command[1] === 'ABS') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone1.disptype = 'ABSOLUTE';
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone1.dispvalue = (
-                    Math.round(
-                      (this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume !== '--'
-                        ? scaleValue(parseFloat(this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume), -79.5, 18, 0, 98)
-                        : 0.0) * 2,
-                    ) * 0.5
-                  ).toFixed(1);
-                  if (this.#rawData[macAddress].value.GetAllZoneVolume?.zone2 !== undefined) {
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone2.disptype = 'ABSOLUTE';
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone2.dispvalue = (
-                      Math.round(
-                        (this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume !== '--'
-                          ? scaleValue(parseFloat(this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume), -79.5, 18, 0, 98)
-                          : 0.0) * 2,
-                      ) * 0.5
-                    ).toFixed(1);
-                  }
-                  if (typeof this.#rawData[macAddress].value.GetAllZoneVolume?.zone3 !== undefined) {
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone3.disptype = 'ABSOLUTE';
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone3.dispvalue = (
-                      Math.round(
-                        (this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume !== '--'
-                          ? scaleValue(parseFloat(this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume), -79.5, 18, 0, 98)
-                          : 0.0) * 2,
-                      ) * 0.5
-                    ).toFixed(1);
-                  }
-                }
-              }
-
-              // Zone volume change
-              if (command[0] === 'MV' && isNaN(Number(command[1])) === false) {
-                // Main zone volume change
-                this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume =
-                  Number(command[1]) !== 0 ? (-79.5 + Number(command[1].padEnd(3, '0')) / 10).toFixed(1).toString() : '--';
-                if (this.#rawData[macAddress].value.GetAllZoneVolume.zone1.disptype === 'RELATIVE') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone1.dispvalue =
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume + 'dB';
-                }
-                if (this.#rawData[macAddress].value.GetAllZoneVolume.zone1.disptype === 'ABSOLUTE') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone1.dispvalue = (
-                    Math.round(
-                      (this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume !== '--'
-                        ? scaleValue(parseFloat(this.#rawData[macAddress].value.GetAllZoneVolume.zone1.volume), -79.5, 18, 0, 98)
-                        : 0.0) * 2,
-                    ) * 0.5
-                  ).toFixed(1);
-                }
-              }
-              if (command[0] === 'MV' && command[1].split(' ') === 'MAX') {
-                // Max volume limit
-                //console.log("max volume", parseFloat(command[1].split(" ")[1]));
-              }
-              if (command[0] === 'Z2' && isNaN(Number(command[1])) === false) {
-                // Zone2 volume change
-                this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume =
-                  Number(command[1]) !== 0 ? (-79.5 + Number(command[1].padEnd(3, '0')) / 10).toFixed(1).toString() : '--';
-                if (this.#rawData[macAddress].value.GetAllZoneVolume.zone2.disptype === 'RELATIVE') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone2.dispvalue =
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume + 'dB';
-                }
-                if (this.#rawData[macAddress].value.GetAllZoneVolume.zone2.disptype === 'ABSOLUTE') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone2.dispvalue = (
-                    Math.round(
-                      (this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume !== '--'
-                        ? scaleValue(parseFloat(this.#rawData[macAddress].value.GetAllZoneVolume.zone2.volume), -79.5, 18, 0, 98)
-                        : 0.0) * 2,
-                    ) * 0.5
-                  ).toFixed(1);
-                }
-              }
-              if (command[0] === 'Z3' && isNaN(Number(command[1])) === false) {
-                // Zone3 volume change
-                this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume =
-                  Number(command[1]) !== 0 ? (-79.5 + Number(command[1].padEnd(3, '0')) / 10).toFixed(1).toString() : '--';
-                if (this.#rawData[macAddress].value.GetAllZoneVolume.zone3.disptype === 'RELATIVE') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone3.dispvalue =
-                    this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume + 'dB';
-                }
-                if (this.#rawData[macAddress].value.GetAllZoneVolume.zone3.disptype === 'ABSOLUTE') {
-                  this.#rawData[macAddress].value.GetAllZoneVolume.zone3.dispvalue = (
-                    Math.round(
-                      (this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume !== '--'
-                        ? scaleValue(parseFloat(this.#rawData[macAddress].value.GetAllZoneVolume.zone3.volume), -79.5, 18, 0, 98)
-                        : 0.0) * 2,
-                    ) * 0.5
-                  ).toFixed(1);
-                }
-              }
-
-              // Zone name change
-              if (command[0] === 'R1') {
-                // Main zone name change
-                this.#rawData[macAddress].value.GetZoneName.zone1 = command[1].substring(0, 10).padEnd(10, ' ') + '\r';
-              }
-              if (command[0] === 'R2') {
-                // Zone2 name change
-                this.#rawData[macAddress].value.GetZoneName.zone2 = command[1].substring(0, 10).padEnd(10, ' ') + '\r';
-              }
-              if (command[0] === 'R3') {
-                // Zone3 name change
-                this.#rawData[macAddress].value.GetZoneName.zone3 = command[1].substring(0, 10).padEnd(10, ' ') + '\r';
-              }
-
-              // Input change
-              if (command[0] === 'SI') {
-                // Main zone input change
-                this.#rawData[macAddress].value.GetAllZoneSource.zone1.source = command[1];
-              }
-              if (
-                command === 'Z2' &&
-                isNaN(Number(command[1])) === true &&
-                command[1] !== 'ON' &&
-                command[1] !== 'OFF' &&
-                command[1] !== 'MUON' &&
-                command[1] !== 'MUOFF'
-              ) {
-                // Zone2 input change
-                this.#rawData[macAddress].value.GetAllZoneSource.zone2.source = command[1];
-              }
-              if (
-                command === 'Z3' &&
-                isNaN(Number(command[1])) === true &&
-                command[1] !== 'ON' &&
-                command[1] !== 'OFF' &&
-                command[1] !== 'MUON' &&
-                command[1] !== 'MUOFF'
-              ) {
-                // Zone3 input change
-                this.#rawData[macAddress].value.GetAllZoneSource.zone3.source = command[1];
-              }
-
-              // Tuner changes
-              if (command[0] === 'TMAN' && (command[1] === 'FM' || command[1] === 'AM')) {
-                // Tuner band changed
-                this.#rawData[macAddress].value.GetTunerStatus.band = command[1];
-              }
-              if (command[0] === 'TMAN' && (command[1] === 'AUTO' || command[1] === 'MANUAL')) {
-                // Tuner tuning mode changed
-                this.#rawData[macAddress].value.GetTunerStatus.automanual = command[1];
-              }
-              if (command[0] === 'TFANNAME') {
-                // Tuner station name changed
-                this.#rawData[macAddress].value.GetTunerStatus.name = command[1] + '\r';
-              }
-              if (command[0] === 'TFAN' && isNaN(Number(command[1])) === false) {
-                // Tuner frequency changed
-                this.#rawData[macAddress].value.GetTunerStatus.frequency = (Number(command[1]) / 100).toFixed(2).toString();
-              }
-              if (command[0] === 'TPAN') {
-                // Preset selected
-                this.#rawData[macAddress].value.GetTunerStatus.presetno = command[1];
-                this.#rawData[macAddress].value.GetTunerStatus.presetname = ''.padEnd(10, ' '); // Blank name padded
-              }
-
-              // Preset changes
-              if (command[0] === 'OPTPN') {
-                // Preset details ie: number, name and frequency
-                if (command[1].substring(0, 2) === this.#rawData[macAddress].value.GetTunerStatus.presetno) {
-                  this.#rawData[macAddress].value.GetTunerStatus.presetno = command[1].substring(0, 2);
-                  this.#rawData[macAddress].value.GetTunerStatus.presetname = command[1].substring(2, 11).padEnd(10, ' ');
-                  this.#rawData[macAddress].value.GetTunerStatus.frequency = (Number(command[1].substring(11, 17)) / 100)
-                    .toFixed(2)
-                    .toString();
-                }
-
-                let index = this.#rawData[macAddress].value.presets.findIndex((preset) => preset.$.table === command[1].substring(0, 2));
-                if (index !== -1) {
-                  this.#rawData[macAddress].value.presets[index].$.param = command[1].substring(2);
-                }
-              }
-              if (command[0] === 'OPTPSTUNER' && (command[1].split(' ')[1] === 'ON' || command[1].split(' ')[1] === 'OFF')) {
-                // Preset skipped or not. We'll use this for shown or hidden status
-                let index = this.#rawData[macAddress].value.presets.findIndex((preset) => preset.$.table === command[1].split(' ')[0]);
-                if (index !== -1) {
-                  this.#rawData[macAddress].value.presets[index].$.skip = command[1].split(' ')[1];
-                }
-              }
-
-              // Source name/hidden changes
-              if (command[0] === 'SSSOD' || command === 'SSFUN') {
-                let search = command[1].split(' ').toUpperCase();
-                if (search === 'SAT/CBL') {
-                  search = 'CBL/SAT';
-                }
-                if (search === 'BD') {
-                  search = 'BLU-RAY';
-                }
-                if (search === 'MPLAY') {
-                  search = 'MEDIA PLAYER';
-                }
-                if (search === 'USB/IPOD') {
-                  search = 'IPOD/USB';
-                }
-                if (search === 'TV') {
-                  search = 'TV AUDIO';
-                }
-                if (search === 'NET') {
-                  search = 'NETWORK';
-                }
-                if (search === 'BT') {
-                  search = 'BLUETOOTH';
-                }
-                if (search === 'SPOTIFY') {
-                  search = 'SPOTIFYCONNECT';
-                }
-
-                if (command[0] === 'SSFUN') {
-                  // Source name change
-                  let index = this.#rawData[macAddress].value.GetRenameSource.functionrename.list.findIndex(
-                    ({ name }) => name.toUpperCase() === search,
-                  );
-                  if (index !== -1) {
-                    this.#rawData[macAddress].value.GetRenameSource.functionrename.list[index].rename = command[1].split(/ (.*)/s)[1]; // Split on first space in string
-                  }
-                }
-
-                if (command[0] === 'SSSOD') {
-                  // Hide/Show sources
-                  let index = this.#rawData[macAddress].value.GetDeletedSource.functiondelete.list.findIndex(
-                    ({ name }) => name.toUpperCase() === search,
-                  );
-                  if (index !== -1) {
-                    this.#rawData[macAddress].value.GetDeletedSource.functiondelete.list[index].use =
-                      command[1].split(' ')[1] === 'DEL' ? '0' : '1';
-                  }
-                }
-              }
-
-              // Process any updated data
-              this.#processPostSubscribe();
-            }
+    // Start the proxy, or try again if it failed to start previously, ie: port was in use
+    this.#rawData[macAddress]?.telnetProxy?.start();
+
+    this.#connections[macAddress].start();
+  }
+
+  async #resync(macAddress) {
+    if (typeof this.#rawData?.[macAddress] !== 'object') {
+      return;
+    }
+
+    // Build the list of queries to send. Zone specific queries are only sent for zones the receiver has
+    let zones = Number(this.#rawData[macAddress].value?.deviceInfo?.DeviceZones?.[0]);
+    let commands = this.config.options.resyncCommands.filter(
+      (command) => (command.startsWith('Z2') === false || zones >= 2) && (command.startsWith('Z3') === false || zones >= 3),
+    );
+
+    // Queries are sent without retries and with a short acknowledgement timeout. Any answer arriving after that is still processed
+    // They're sent in the background, so commands from HomeKit during the burst are sent first
+    // While the burst is being sent, we hold updating HomeKit until it's done
+    this.#rawData[macAddress].resyncing = true;
+    try {
+      await Promise.all(
+        commands.map((command) =>
+          this.#rawData[macAddress].commandQueue.enqueue(command, { retries: 0, timeout: RESYNCTIMEOUT, background: true }),
+        ),
+      );
+    } finally {
+      this.#rawData[macAddress].resyncing = false;
+    }
+
+    // Resync has completed, so send any updated data through to HomeKit in one go
+    this.#processPostSubscribe();
+  }
+
+  async #checkREST(macAddress) {
+    // Check if the receiver is reachable via its REST API
+    if (typeof this.#rawData?.[macAddress]?.api?.origin !== 'string') {
+      return false;
+    }
+
+    // If the receiver presented a different HTTPS certificate, trust it once we've confirmed it's still this receiver
+    await trustChangedCertificate(this.#rawData[macAddress].api.origin, macAddress);
+
+    let online = false;
+    await fetchWrapper('get', this.#rawData[macAddress].api.origin + '/goform/Deviceinfo.xml', {
+      timeout: 2000,
+      selfSigned: this.#rawData[macAddress].api.selfSigned,
+    })
+      .then((response) => {
+        online = response?.status === 200;
+      })
+      // eslint-disable-next-line no-unused-vars
+      .catch((error) => {});
+
+    return online;
+  }
+
+  #createCommandQueue(macAddress) {
+    // Outbound command queue for a receiver. We only expect commands to be echoed back when connected via Telnet
+    return new CommandQueue((command) => this.#sendCommand(macAddress, command), {
+      spacing: this.config.options.commandDelay,
+      echo: () => this.#connections?.[macAddress]?.state === ReceiverConnection.State.TELNET,
+    });
+  }
+
+  #processTelnetEvent(macAddress, event) {
+    if (typeof this.#rawData?.[macAddress]?.value !== 'object' || typeof event?.kind !== 'string') {
+      return;
+    }
+
+    let deviceData = this.#rawData[macAddress].value;
+    let zoneName = 'zone' + event.zone;
+
+    switch (event.kind) {
+      case TelnetParser.Kind.FIRMWARE: {
+        // Device firmware version
+        deviceData.sdp.firmwareVersion = event.value;
+        break;
+      }
+
+      case TelnetParser.Kind.SERIALNUMBER: {
+        // Device serial number
+        deviceData.sdp.serialNumber = event.value;
+        break;
+      }
+
+      case TelnetParser.Kind.FRIENDLYNAME: {
+        // Device friendly name has changed
+        deviceData.sdp.friendlyName = event.value;
+        break;
+      }
+
+      case TelnetParser.Kind.SYSTEMPOWER: {
+        // System power on/standby. When in standby, all zones are off
+        if (event.value === false) {
+          Object.keys(deviceData.GetAllZonePowerStatus).forEach((zone) => {
+            deviceData.GetAllZonePowerStatus[zone] = 'OFF';
           });
-      });
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.POWER: {
+        // Zone power on/off
+        deviceData.GetAllZonePowerStatus[zoneName] = event.value === true ? 'ON' : 'OFF';
+        break;
+      }
+
+      case TelnetParser.Kind.MUTE: {
+        // Zone mute on/off
+        deviceData.GetAllZoneMuteStatus[zoneName] = event.value === true ? 'on' : 'off';
+        break;
+      }
+
+      case TelnetParser.Kind.VOLUMEDISPLAY: {
+        // Volume type change (Absolute 0-98 or Relative -79.5db to 18db). Applies to all zones
+        Object.values(deviceData.GetAllZoneVolume).forEach((zoneVolume) => {
+          zoneVolume.disptype = event.value === 'REL' ? 'RELATIVE' : 'ABSOLUTE';
+          zoneVolume.dispvalue = formatVolumeDisplay(zoneVolume);
+        });
+        break;
+      }
+
+      case TelnetParser.Kind.VOLUME: {
+        // Zone volume change. Denon volume of 80 is 0dB, with 0 being minimum volume
+        if (typeof deviceData.GetAllZoneVolume?.[zoneName] === 'object') {
+          deviceData.GetAllZoneVolume[zoneName].volume = event.value !== 0 ? (event.value - 80).toFixed(1) : '--';
+          deviceData.GetAllZoneVolume[zoneName].dispvalue = formatVolumeDisplay(deviceData.GetAllZoneVolume[zoneName]);
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.MAXVOLUME: {
+        // Max volume limit
+        if (typeof deviceData.GetAllZoneVolume?.[zoneName] === 'object') {
+          deviceData.GetAllZoneVolume[zoneName].maxvolume = (event.value - 80).toFixed(1);
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.ZONENAME: {
+        // Zone name change
+        deviceData.GetZoneName[zoneName] = event.value.substring(0, 10).padEnd(10, ' ') + '\r';
+        break;
+      }
+
+      case TelnetParser.Kind.SOURCE: {
+        // Zone input change
+        if (typeof deviceData.GetAllZoneSource?.[zoneName] === 'object') {
+          deviceData.GetAllZoneSource[zoneName].source = event.value;
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.SOUNDMODE: {
+        // Sound mode change. This is for the main zone only
+        deviceData.GetSurroundModeStatus = { surround: event.value };
+        break;
+      }
+
+      case TelnetParser.Kind.SETTING: {
+        // Audio processing or energy setting changed. Receivers only respond for settings they support
+        if (typeof deviceData.settings !== 'object') {
+          deviceData.settings = {};
+        }
+        deviceData.settings[event.value.setting] = SETTINGS[event.value.setting].aliases?.[event.value.value] ?? event.value.value;
+        break;
+      }
+
+      case TelnetParser.Kind.AUDIOLEVEL: {
+        // Zone tone, channel level or audio delay changed. Receivers only respond for levels they support
+        if (typeof deviceData.audioLevels !== 'object') {
+          deviceData.audioLevels = {};
+        }
+        if (typeof deviceData.audioLevels[zoneName] !== 'object') {
+          deviceData.audioLevels[zoneName] = {};
+        }
+        deviceData.audioLevels[zoneName][event.value.level] = event.value.value;
+        break;
+      }
+
+      case TelnetParser.Kind.QUICKSELECT: {
+        // Quick Select/Smart Select recalled or stored for a zone. Either way, the zone now matches that slot
+        if (typeof deviceData.quickSelects !== 'object') {
+          deviceData.quickSelects = {};
+        }
+        deviceData.quickSelects[zoneName] = { type: event.value.type, slot: event.value.slot };
+        break;
+      }
+
+      case TelnetParser.Kind.SLEEPTIMER: {
+        // Zone sleep timer set, cancelled or queried. We track when it'll end, as the receiver only reports minutes remaining when asked
+        if (typeof deviceData.sleepTimers !== 'object') {
+          deviceData.sleepTimers = {};
+        }
+        deviceData.sleepTimers[zoneName] = event.value !== 0 ? Date.now() + event.value * 60000 : 0;
+        break;
+      }
+
+      case TelnetParser.Kind.TUNERBAND: {
+        // Tuner band changed
+        deviceData.GetTunerStatus.band = event.value;
+        break;
+      }
+
+      case TelnetParser.Kind.TUNERMODE: {
+        // Tuner tuning mode changed
+        deviceData.GetTunerStatus.automanual = event.value;
+        break;
+      }
+
+      case TelnetParser.Kind.TUNERNAME: {
+        // Tuner station name changed. This is the RDS station name on FM
+        deviceData.GetTunerStatus.name = event.value + '\r';
+        this.#learnPresetName(macAddress, event.value);
+        break;
+      }
+
+      case TelnetParser.Kind.TUNERFREQUENCY: {
+        // Tuner frequency changed. Any radio text was for the previous station
+        if (deviceData.GetTunerStatus.frequency !== event.value.toFixed(2) && typeof deviceData.tunerText === 'object') {
+          deviceData.tunerText.radioText = '';
+        }
+        deviceData.GetTunerStatus.frequency = event.value.toFixed(2);
+        break;
+      }
+
+      case TelnetParser.Kind.TUNERTEXT: {
+        // RDS radio text, or DAB station, ensemble and radio text changed
+        if (typeof deviceData.tunerText !== 'object') {
+          deviceData.tunerText = {};
+        }
+        deviceData.tunerText[event.value.field] = event.value.text;
+        if (event.value.field === 'station') {
+          this.#learnPresetName(macAddress, event.value.text);
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.ONSCREEN: {
+        // Network source on screen display line changed. We keep all lines, as which hold the track details varies by source
+        if (Array.isArray(deviceData.onScreen) === false) {
+          deviceData.onScreen = [];
+        }
+        deviceData.onScreen[event.value.line] = event.value.text;
+        break;
+      }
+
+      case TelnetParser.Kind.TUNERPRESET: {
+        // Preset selected
+        deviceData.GetTunerStatus.presetno = event.value;
+        deviceData.GetTunerStatus.presetname = ''.padEnd(10, ' '); // Blank name padded
+        break;
+      }
+
+      case TelnetParser.Kind.PRESETDETAILS: {
+        // Preset details ie: number, name and frequency
+        if (event.value.preset === deviceData.GetTunerStatus.presetno) {
+          deviceData.GetTunerStatus.presetname = event.value.param.substring(0, 9).padEnd(10, ' ');
+          deviceData.GetTunerStatus.frequency = (Number(event.value.param.substring(9, 15)) / 100).toFixed(2);
+        }
+
+        let index = deviceData.presets.findIndex((preset) => preset.$.table === event.value.preset);
+        if (index !== -1) {
+          deviceData.presets[index].$.param = event.value.param;
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.PRESETSKIP: {
+        // Preset skipped or not. We'll use this for shown or hidden status
+        let index = deviceData.presets.findIndex((preset) => preset.$.table === event.value.preset);
+        if (index !== -1) {
+          deviceData.presets[index].$.skip = event.value.skip;
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.SOURCERENAME: {
+        // Source name change
+        let search = SOURCEFUNCTIONNAMES?.[event.value.source] ?? event.value.source;
+        let index = deviceData.GetRenameSource.functionrename.list.findIndex(({ name }) => name.trim().toUpperCase() === search);
+        if (index !== -1) {
+          deviceData.GetRenameSource.functionrename.list[index].rename = event.value.name;
+        }
+        break;
+      }
+
+      case TelnetParser.Kind.SOURCEDELETE: {
+        // Hide/Show sources
+        let search = SOURCEFUNCTIONNAMES?.[event.value.source] ?? event.value.source;
+        let index = deviceData.GetDeletedSource.functiondelete.list.findIndex(({ name }) => name.trim().toUpperCase() === search);
+        if (index !== -1) {
+          deviceData.GetDeletedSource.functiondelete.list[index].use = event.value.used === true ? '1' : '0';
+        }
+        break;
+      }
+    }
+  }
+
+  #learnPresetName(macAddress, name) {
+    // Remember the station name for the selected preset, so presets without a name can show what station they're for
+    let deviceData = this.#rawData?.[macAddress]?.value;
+    if (typeof name !== 'string' || name.trim() === '' || /^\d{2}$/.test(deviceData?.GetTunerStatus?.presetno) === false) {
+      return;
+    }
+
+    if (typeof deviceData.presetNames !== 'object') {
+      deviceData.presetNames = {};
     }
+    deviceData.presetNames[deviceData.GetTunerStatus.presetno] = name.trim();
   }
 
   async subscribeREST(macAddress) {
@@ -636,21 +1025,129 @@ export default class DenonAccfactory {
           this.#rawData[macAddress].system,
         );
 
-      let deviceInfo = await this.#getDeviceInfo(this.#rawData[macAddress].system);
-      this.#rawData[deviceInfo.deviceInfo.MacAddress].value = {
-        sdp: deviceInfo.sdp,
-        deviceInfo: deviceInfo.deviceInfo,
-        presets: deviceInfo.presets,
-        GetAllZonePowerStatus: deviceInfo.GetAllZonePowerStatus,
-        GetAllZoneMuteStatus: deviceInfo.GetAllZoneMuteStatus,
-        GetAllZoneVolume: deviceInfo.GetAllZoneVolume,
-        GetZoneName: deviceInfo.GetZoneName,
-        GetAllZoneSource: deviceInfo.GetAllZoneSource,
-        GetTunerStatus: deviceInfo.GetTunerStatus,
-        GetRenameSource: deviceInfo.GetRenameSource,
-        GetDeletedSource: deviceInfo.GetDeletedSource,
+      // Poll the receivers status on an interval, only processing what has changed since the last poll
+      let polling = false;
+      const poll = async () => {
+        if (polling === true || typeof this.#rawData?.[macAddress]?.api?.origin !== 'string') {
+          return;
+        }
+
+        polling = true;
+        let appCommandData = await getAppCommandData(this.#rawData[macAddress].api);
+        polling = false;
+        if (typeof appCommandData !== 'object' || this.#rawData?.[macAddress]?.timer === undefined) {
+          return;
+        }
+
+        let changed = false;
+        Object.entries(appCommandData).forEach(([key, value]) => {
+          if (value !== undefined && JSON.stringify(value) !== JSON.stringify(this.#rawData[macAddress].value[key])) {
+            this.#rawData[macAddress].value[key] = value;
+            changed = true;
+          }
+          if (key === 'GetAudyssey' && typeof value === 'object') {
+            // Settings from the REST API are newer than any we had via Telnet
+            Object.keys(value).forEach((setting) => {
+              delete this.#rawData[macAddress].value?.settings?.[setting];
+            });
+          }
+        });
+
+        if (changed === true) {
+          // Process any updated data
+          this.#processPostSubscribe();
+        }
       };
+
+      this.#rawData[macAddress].timer = setInterval(poll, SUBSCRIBEINTERVAL);
+      await poll();
+    }
+  }
+
+  #unsubscribeREST(macAddress) {
+    if (this.#rawData?.[macAddress]?.timer !== undefined) {
+      clearInterval(this.#rawData[macAddress].timer);
+      this.#rawData[macAddress].timer = undefined;
+    }
+  }
+
+  #getDeviceConfig(macAddress) {
+    // Configuration for this receiver, if any. Matching by MAC address or serial number takes priority over matching by address
+    if (typeof this.#rawData?.[macAddress] !== 'object') {
+      return;
     }
+
+    let ids = [makeDeviceID(macAddress), makeDeviceID(this.#rawData[macAddress].value?.sdp?.serialNumber)].filter((id) => id !== '');
+    return (
+      this.config.devices.find((device) => device.id !== undefined && ids.includes(device.id) === true) ||
+      this.config.devices.find((device) => device.id === undefined && device.system === this.#rawData[macAddress].system)
+    );
+  }
+
+  #getTransport(macAddress) {
+    // Transport to use for this receiver, either from its device configuration, or the default from options
+    let transport = this.#getDeviceConfig(macAddress)?.transport;
+    return Object.values(DenonAccfactory.Transport).includes(transport) === true ? transport : this.config.options.transport;
+  }
+
+  #getZoneAccessories(macAddress) {
+    // If each zone is published as its own accessory, either from this receivers device configuration, or the default from options
+    let zoneAccessories = this.#getDeviceConfig(macAddress)?.zoneAccessories;
+    return typeof zoneAccessories === 'boolean' ? zoneAccessories : this.config.options.zoneAccessories;
+  }
+
+  #reconcileAccessories() {
+    // Remove accessories for receivers we haven't seen for longer than the configured number of days
+    // A receiver has been seen when it's discovered, or we're connected to it
+    let now = Date.now();
+    Object.values(this.#rawData).forEach((device) => {
+      if (this.#connections?.[device.macAddress]?.online === true) {
+        device.lastSeen = now;
+      }
+      // Includes accessories for any zones published as their own accessory
+      Object.values(this.#trackedDevices)
+        .filter((tracked) => tracked.macAddress === device.macAddress)
+        .forEach((tracked) => {
+          if (typeof tracked.accessory?.context === 'object' && device.lastSeen !== undefined) {
+            tracked.accessory.context.lastSeen = device.lastSeen;
+          }
+        });
+    });
+
+    if (this.config.options.removeAfter === 0) {
+      // Removal of accessories is disabled
+      return;
+    }
+
+    this.cachedAccessories = this.cachedAccessories.filter((accessory) => {
+      if (Object.values(this.#trackedDevices).some((tracked) => tracked.external === true && tracked.uuid === accessory?.UUID) === true) {
+        // External accessory, which Homebridge doesn't cache, so isn't one for us to unregister
+        return false;
+      }
+      if (typeof accessory?.context?.lastSeen !== 'number') {
+        // Not tracked when we last saw this accessories receiver, so start from now
+        accessory.context.lastSeen = now;
+      }
+      if (now - accessory.context.lastSeen < this.config.options.removeAfter * 86400000) {
+        return true;
+      }
+
+      this?.log?.warn &&
+        this.log.warn(
+          'Removing accessory "%s" as its receiver hasn\'t been seen for more than %s day(s)',
+          accessory.displayName,
+          this.config.options.removeAfter,
+        );
+
+      // If we created a device for this accessory, stop tracking it, so it'll be created again if the receiver returns
+      let trackedDevice = Object.entries(this.#trackedDevices).find(([, tracked]) => tracked.uuid === accessory.UUID);
+      if (trackedDevice !== undefined) {
+        this.#eventEmitter.removeAllListeners(trackedDevice[1].uuid);
+        delete this.#trackedDevices[trackedDevice[0]];
+      }
+      this.api.unregisterPlatformAccessories(HomeKitDevice.PLUGIN_NAME, HomeKitDevice.PLATFORM_NAME, [accessory]);
+      return false;
+    });
   }
 
   #processPostSubscribe() {
@@ -662,13 +1159,31 @@ export default class DenonAccfactory {
 
       if (this.#trackedDevices?.[deviceData?.hkUsername] === undefined && deviceData?.excluded === false) {
         // Denon AV Receiver - AUDIO_RECEIVER = 34
+        // Zones published as their own accessory are named after the zone
         let tempDevice = new AVReceiver(this.cachedAccessories, this.api, this.log, this.#eventEmitter, deviceData);
-        tempDevice.add(deviceData.manufacturer + ' AVReceiver', 34, true);
+        tempDevice.add(
+          deviceData.external === true ? deviceData.description : deviceData.manufacturer + ' AVReceiver',
+          34,
+          deviceData.eveHistory === true,
+        );
 
         // Track this device once created
         this.#trackedDevices[deviceData.hkUsername] = {
           uuid: tempDevice.uuid,
+          macAddress: deviceData.uuid,
+          accessory: tempDevice.accessory,
+          external: deviceData.external === true,
         };
+
+        // Include newly created accessories with those restored from cache, so they're reconciled the same way
+        // External accessories aren't cached or registered by Homebridge, so aren't ours to unregister
+        if (
+          typeof tempDevice.accessory === 'object' &&
+          deviceData.external !== true &&
+          this.cachedAccessories.includes(tempDevice.accessory) === false
+        ) {
+          this.cachedAccessories.push(tempDevice.accessory);
+        }
       }
 
       // Finally, if device is not excluded, send updated data to device for it to process
@@ -687,15 +1202,22 @@ export default class DenonAccfactory {
     Object.entries(this.#rawData).forEach(([, value]) => {
       // process raw device data
       let tempDevice = {};
-      tempDevice.excluded = this.config?.devices?.[value.value?.sdp?.serialNumber]?.exclude === true; // Mark device as excluded or not
+      let deviceConfig = this.#getDeviceConfig(value.macAddress);
+      tempDevice.excluded = deviceConfig?.exclude === true; // Mark device as excluded or not
+      tempDevice.uuid = value.macAddress; // Used to route set requests from the device back to this receiver
       tempDevice.serialNumber = value.value.sdp.serialNumber;
       tempDevice.hkUsername = value.value.deviceInfo.MacAddress;
       tempDevice.softwareVersion =
         value.value.sdp?.firmwareVersion === undefined ? '0.0.0' : value.value.sdp.firmwareVersion.replace(/-/g, '.');
       tempDevice.manufacturer = value.value.sdp.friendlyName.split(' ')[0];
       tempDevice.model = value.value.sdp.friendlyName.split(' ')[1];
-      tempDevice.description = makeHomeKitName(value.value.sdp.friendlyName);
-      tempDevice.online = true;
+      tempDevice.description = deviceConfig?.name !== undefined ? deviceConfig.name : makeHomeKitName(value.value.sdp.friendlyName);
+      tempDevice.online = this.#connections?.[value.macAddress]?.online === true;
+      tempDevice.eveHistory = this.config.options.eveHistory === true;
+      tempDevice.connectionState =
+        this.#connections?.[value.macAddress]?.state !== undefined
+          ? this.#connections[value.macAddress].state
+          : ReceiverConnection.State.OFFLINE;
 
       // build list of inputs (except for a tuner, which we'll handle seperately)
       tempDevice.inputs = [];
@@ -821,7 +1343,10 @@ export default class DenonAccfactory {
           tempDevice.inputs.push({
             uri: 'PRESET' + preset.$.table,
             title: preset.$.band + ' ' + preset.$.param.substring(9, 15).trim(),
-            label: preset.$.param.substring(0, 8).trim() !== '' ? preset.$.param.substring(0, 8).trim() : 'Preset' + preset.$.table,
+            label:
+              preset.$.param.substring(0, 8).trim() !== ''
+                ? preset.$.param.substring(0, 8).trim()
+                : (value.value?.presetNames?.[preset.$.table] ?? 'Preset' + preset.$.table),
             connection: true,
             type: DenonAccfactory.Inputs.PRESET,
             hidden: preset.$.skip.toUpperCase() === 'ON' ? true : false,
@@ -831,20 +1356,158 @@ export default class DenonAccfactory {
         }
       });
 
+      // Build list of inputs for any HEOS favourites. These are played via the network input
+      if (Array.isArray(value.value?.heos?.favourites) === true) {
+        value.value.heos.favourites.forEach((favourite) => {
+          tempDevice.inputs.push({
+            uri: 'FAVOURITE' + favourite.preset,
+            title: 'HEOS Favourite ' + favourite.preset,
+            label: favourite.name,
+            connection: true,
+            type: DenonAccfactory.Inputs.FAVOURITE,
+            hidden: false,
+            canhide: false,
+            canrename: false,
+          });
+        });
+      }
+
+      // Other zones can follow whatever input the main zone is using
+      if (Number(value.value.deviceInfo.DeviceZones[0]) > 1) {
+        tempDevice.inputs.push({
+          uri: 'SOURCE',
+          title: 'Main Zone',
+          label: 'Main Zone Source',
+          connection: true,
+          type: DenonAccfactory.Inputs.MAINZONE,
+          hidden: false,
+          canhide: true,
+          canrename: false,
+        });
+      }
+
+      // Apply any input whitelist and hidden inputs from the device configuration. Inputs are matched by their code, name or label
+      if (deviceConfig?.inputs?.length > 0) {
+        tempDevice.inputs = tempDevice.inputs.filter(
+          (input) => matchInput(deviceConfig.inputs, input) === true || input.type === DenonAccfactory.Inputs.MAINZONE,
+        );
+      }
+      tempDevice.inputs.forEach((input) => {
+        if (matchInput(deviceConfig?.hiddenInputs, input) === true) {
+          input.hidden = true;
+        }
+      });
+
+      // Order inputs as configured for the device, with the rest following in our default order. Sorting is stable, so inputs
+      // of the same type stay in the order the receiver lists them
+      const inputPosition = (input) => {
+        let position = (deviceConfig?.inputOrder ?? []).findIndex((name) => matchInput([name], input) === true);
+        return position !== -1 ? position : (deviceConfig?.inputOrder ?? []).length + INPUTORDER.indexOf(input.type) + 1;
+      };
+      tempDevice.inputs.sort((a, b) => inputPosition(a) - inputPosition(b));
+
+      // HEOS player details, if the receiver has one we're connected to
+      tempDevice.heos = {
+        online: value?.heosClient?.online === true,
+        playState: typeof value.value?.heos?.playState === 'string' ? value.value.heos.playState : HeosClient.PlayState.STOP,
+        nowPlaying: typeof value.value?.heos?.nowPlaying === 'object' ? value.value.heos.nowPlaying : {},
+        queue: Array.isArray(value.value?.heos?.queue) === true ? value.value.heos.queue : [],
+      };
+
+      // Now playing on the network sources, shared by all zones. Details come from the receivers on screen display, with HEOS
+      // preferred for track details and play state when we're connected, as it reports pause and isn't limited by display width
+      let onScreen = Array.isArray(value.value?.onScreen) === true ? value.value.onScreen : [];
+      let nowPlaying = {
+        title: typeof onScreen[1] === 'string' ? onScreen[1] : '',
+        artist: typeof onScreen[2] === 'string' ? onScreen[2] : '',
+        album: typeof onScreen[4] === 'string' ? onScreen[4] : '',
+        app: typeof onScreen[0] === 'string' ? onScreen[0].replace(/^now playing\s*/i, '') : '',
+        playState: undefined, // The on screen display doesn't tell us if playing or paused, so play state is only known via HEOS
+      };
+      if (tempDevice.heos.online === true) {
+        nowPlaying.title = typeof tempDevice.heos.nowPlaying?.title === 'string' ? tempDevice.heos.nowPlaying.title : nowPlaying.title;
+        nowPlaying.artist = typeof tempDevice.heos.nowPlaying?.artist === 'string' ? tempDevice.heos.nowPlaying.artist : nowPlaying.artist;
+        nowPlaying.album = typeof tempDevice.heos.nowPlaying?.album === 'string' ? tempDevice.heos.nowPlaying.album : nowPlaying.album;
+        nowPlaying.app =
+          nowPlaying.app === '' && typeof tempDevice.heos.nowPlaying?.station === 'string'
+            ? tempDevice.heos.nowPlaying.station
+            : nowPlaying.app;
+        nowPlaying.playState = tempDevice.heos.playState;
+      }
+
+      // Tuner details, shared by all zones
+      tempDevice.tuner = {
+        band: typeof value.value.GetTunerStatus?.band === 'string' ? value.value.GetTunerStatus.band.toUpperCase() : '',
+        mode: typeof value.value.GetTunerStatus?.automanual === 'string' ? value.value.GetTunerStatus.automanual.toUpperCase() : '',
+        frequency: isNaN(value.value.GetTunerStatus?.frequency) === false ? Number(value.value.GetTunerStatus.frequency) : 0,
+        preset: /^\d{2}$/.test(value.value.GetTunerStatus?.presetno) === true ? Number(value.value.GetTunerStatus.presetno) : 0,
+        station:
+          typeof value.value?.tunerText?.station === 'string' && value.value.GetTunerStatus?.band?.toUpperCase() === 'DAB'
+            ? value.value.tunerText.station
+            : typeof value.value.GetTunerStatus?.name === 'string'
+              ? value.value.GetTunerStatus.name.trim()
+              : '',
+        ensemble: typeof value.value?.tunerText?.ensemble === 'string' ? value.value.tunerText.ensemble : '',
+        radioText: typeof value.value?.tunerText?.radioText === 'string' ? value.value.tunerText.radioText : '',
+      };
+
+      // Sound modes the receiver supports, limited to those from the device configuration, and which is active on the main zone
+      // Any mode can still be selected via Telnet, so we report the receivers own name for the mode as well
+      tempDevice.soundModes = getSoundModes(value.value.deviceInfo)
+        .filter((id) => deviceConfig === undefined || deviceConfig.soundModes.length === 0 || deviceConfig.soundModes.includes(id) === true)
+        .map((id) => ({ id: id, name: SOUNDMODES[id].name, command: SOUNDMODES[id].command }));
+      tempDevice.soundModeName =
+        typeof value.value?.GetSurroundModeStatus?.surround === 'string' ? value.value.GetSurroundModeStatus.surround.trim() : '';
+      tempDevice.soundMode =
+        Object.keys(SOUNDMODES).find((id) => SOUNDMODES[id].status?.test(tempDevice.soundModeName.toUpperCase()) === true) ?? '';
+
+      // Audio processing and energy settings the receiver has reported, either via the REST or Telnet APIs
+      let settings = { ...value.value?.GetAudyssey, ...value.value?.settings };
+      tempDevice.settings = Object.keys(SETTINGS)
+        .filter((id) => SETTINGS[id].options.includes(settings?.[id]) === true)
+        .map((id) => ({
+          id: id,
+          name: SETTINGS[id].name,
+          command: SETTINGS[id].command,
+          options: SETTINGS[id].options,
+          value: settings[id],
+        }));
+
       // Work out details for each zone we have, this includes name, power, volume, mute and input
       tempDevice.zones = [];
       for (let index = 0; index < Number(value.value.deviceInfo.DeviceZones[0]); index++) {
         let zoneName = 'zone' + (index + 1); // Zone name we're processing
         let tempZone = {};
+        tempZone.enabled = deviceConfig?.zones === undefined || deviceConfig.zones.includes(index + 1) === true;
         tempZone.name = value.value.GetZoneName[zoneName].trim();
         tempZone.power = value.value.GetAllZonePowerStatus[zoneName].toUpperCase() === 'ON' ? true : false;
-        tempZone.volume =
-          Math.round(
-            (value.value.GetAllZoneVolume[zoneName].volume !== '--'
-              ? scaleValue(parseFloat(value.value.GetAllZoneVolume[zoneName].volume), -79.5, 18, 0, 98)
-              : 0.0) * 2,
-          ) * 0.5;
+        let volumeCurve = this.#getVolumeCurve(value.macAddress, index + 1);
+        tempZone.decibels =
+          value.value.GetAllZoneVolume[zoneName].volume !== '--' ? parseFloat(value.value.GetAllZoneVolume[zoneName].volume) : -80;
+        tempZone.volume = volumeCurve.toPercent(tempZone.decibels);
+        tempZone.volumeCurve = { profile: volumeCurve.profile, floor: volumeCurve.floor, ceiling: volumeCurve.ceiling };
         tempZone.mute = value.value.GetAllZoneMuteStatus[zoneName].toUpperCase() === 'ON' ? true : false;
+        tempZone.sleepEnds =
+          tempZone.power === true && value.value?.sleepTimers?.[zoneName] > Date.now() ? value.value.sleepTimers[zoneName] : 0;
+        tempZone.sleepTimer = tempZone.sleepEnds !== 0 ? Math.ceil((tempZone.sleepEnds - Date.now()) / 60000) : 0; // Minutes remaining
+        tempZone.audioLevels = { ...value.value?.audioLevels?.[zoneName] }; // Bass, treble, channel levels in dB and audio delay in ms
+        tempZone.quickSelect = {
+          // Denon receivers call these Quick Select, and Marantz receivers Smart Select
+          type:
+            typeof value.value?.quickSelects?.[zoneName]?.type === 'string'
+              ? value.value.quickSelects[zoneName].type
+              : tempDevice.manufacturer.toUpperCase() === 'MARANTZ'
+                ? 'SMART'
+                : 'QUICK',
+          slots: deviceConfig?.quickSelects ?? QUICKSELECTS,
+          active:
+            tempZone.power === true && isNaN(value.value?.quickSelects?.[zoneName]?.slot) === false
+              ? value.value.quickSelects[zoneName].slot
+              : 0,
+        };
+        tempZone.inputs = getZoneInputs(value.value.deviceInfo, tempDevice.model, index + 1, tempDevice.inputs); // Inputs zone can play
+        // Zones other than the main zone can follow the main zones input, in which case they'll report no source of their own
+        tempZone.follow = index !== 0 && ['SOURCE', ''].includes(value.value.GetAllZoneSource[zoneName].source) === true;
         tempZone.input = '';
         tempZone.source = '';
         tempZone.label = '';
@@ -888,9 +1551,62 @@ export default class DenonAccfactory {
           }
         });
 
+        // Now playing details only apply to zones which are on and playing a network source
+        let zoneInput = tempDevice.inputs.find((input) => input.uri === tempZone.input);
+        tempZone.nowPlaying =
+          tempZone.power === true &&
+          [
+            DenonAccfactory.Inputs.NETWORK,
+            DenonAccfactory.Inputs.SPOTIFY,
+            DenonAccfactory.Inputs.BLUETOOTH,
+            DenonAccfactory.Inputs.IPODUSB,
+            DenonAccfactory.Inputs.FAVOURITE,
+          ].includes(zoneInput?.type) === true
+            ? { ...nowPlaying }
+            : { title: '', artist: '', album: '', app: '', playState: HeosClient.PlayState.STOP };
+
         tempDevice.zones.push(tempZone);
       }
 
+      // Estimate how much power the receiver is drawing from what its zones are doing, for energy history
+      let powerState = 'standby';
+      if (tempDevice.zones.some((zone) => zone.power === true) === true) {
+        powerState = 'idle';
+      }
+      if (tempDevice.zones.some((zone) => zone.power === true && zone.mute === false && zone.decibels > -80) === true) {
+        powerState = 'playing';
+      }
+      let powerDraw = { standby: deviceConfig?.powerStandby, idle: deviceConfig?.powerIdle, playing: deviceConfig?.powerPlaying };
+      tempDevice.power = {
+        state: powerState,
+        watts: powerDraw[powerState] ?? POWERDRAW[powerState],
+        volts: deviceConfig?.voltage ?? MAINSVOLTAGE,
+      };
+
+      if (this.#getZoneAccessories(value.macAddress) === true) {
+        // Publish each additional zone as its own external accessory, with the main zone remaining on the receivers accessory
+        // Zone accessories share the receivers uuid, so their requests are routed via the same receiver connection
+        tempDevice.zones.forEach((zone, index) => {
+          if (index === 0 || zone.enabled === false) {
+            return;
+          }
+
+          // eslint-disable-next-line no-undef
+          let zoneDevice = structuredClone(tempDevice);
+          zoneDevice.external = true;
+          zoneDevice.serialNumber = tempDevice.serialNumber + '-Z' + (index + 1);
+          zoneDevice.hkUsername = makeZoneUsername(tempDevice.hkUsername, index + 1);
+          zoneDevice.description = makeHomeKitName(zone.name) !== '' ? makeHomeKitName(zone.name) : 'Zone ' + (index + 1);
+          zoneDevice.zones.forEach((zoneDeviceZone, zoneIndex) => {
+            zoneDeviceZone.enabled = zoneIndex === index;
+          });
+          devices[zoneDevice.serialNumber] = zoneDevice;
+        });
+        tempDevice.zones.forEach((zone, index) => {
+          zone.enabled = zone.enabled === true && index === 0;
+        });
+      }
+
       devices[tempDevice.serialNumber] = tempDevice; // Store processed device
     });
 
@@ -898,128 +1614,181 @@ export default class DenonAccfactory {
   }
 
   async #set(uuid, values) {
-    if (typeof uuid !== 'string' || uuid === '' || typeof values !== 'object' || typeof this.#rawData?.[values?.uuid] !== 'object') {
+    if (typeof uuid !== 'string' || uuid === '' || typeof values !== 'object' || typeof this.#rawData?.[uuid] !== 'object') {
       return;
     }
 
-    if (this.#rawData?.[values?.uuid]?.tcpSocket?.readyState === 'open') {
-      // we have an active TCP socket connection, so can send data via here
-      this.#rawData[values.uuid].tcpSocket.write(values.command + '\r', () => {
-        // Command sent via Telnet. Do we need ito anything now??
-      });
+    // Commands are passed through the receivers outbound queue, which paces and coalesces what we send
+    // We can be passed either a single command, or an array of commands to send in order
+    let results = [];
+    if (values?.command !== undefined) {
+      results = await Promise.all(
+        (Array.isArray(values.command) === true ? values.command : [values.command]).map((command) =>
+          this.#rawData[uuid].commandQueue.enqueue(this.#limitVolume(uuid, command)),
+        ),
+      );
     }
 
-    if (
-      this.#rawData?.[values?.uuid]?.tcpSocket === undefined ||
-      (this.#rawData?.[values?.uuid]?.tcpSocket !== undefined && this.#rawData?.[values?.uuid]?.tcpSocket.readyState !== 'open')
-    ) {
-      // Not any open TCP socket, so send command via REST
-      await fetchWrapper(
-        'get',
-        this.#rawData[deviceUUID].system + 'goform/formiPhoneAppDirect.xml/?' + values.command.replace(/ /g, '%20'), // Replace spaces with URL spaces character
-        {},
-      )
-        .then((response) => {
-          if (typeof response.status != 'number' || response.status != 200) {
-            throw new Error('Denon API HTTP get failed with error');
+    if (typeof values?.heos === 'object') {
+      // Request for the receivers HEOS player, ie: transport controls on network sources
+      results.push(await this.#setHEOS(uuid, values.heos));
+    }
+
+    return results.length !== 0 && results.every((result) => result === true);
+  }
+
+  #limitVolume(macAddress, command) {
+    // Limit volume commands for a zone to its volume ceiling, so we can never set the volume above this
+    // Absolute volume above the ceiling is set to the ceiling, and volume up when at or above the ceiling is set to the ceiling
+    let match = typeof command === 'string' ? command.trim().match(/^(MV|Z2|Z3)(\d{2,3}|UP)$/) : null;
+    if (match === null) {
+      return command;
+    }
+
+    let zone = match[1] === 'MV' ? 1 : Number(match[1].substring(1));
+    let ceiling = VolumeCurve.toLevel(this.#getVolumeCurve(macAddress, zone).ceiling);
+    let level = Number(match[2]) / (match[2].length === 3 ? 10 : 1);
+    if (match[2] === 'UP') {
+      let volume = this.#rawData?.[macAddress]?.value?.GetAllZoneVolume?.['zone' + zone]?.volume;
+      level = VolumeCurve.toLevel(volume !== undefined && volume !== '--' ? parseFloat(volume) : -80) + 0.5;
+    }
+
+    return level > ceiling ? match[1] + VolumeCurve.formatLevel(ceiling) : command;
+  }
+
+  #getVolumeCurve(macAddress, zone) {
+    // Volume curve for a zone of this receiver. The ceiling is the lowest of the configured ceiling for the receiver,
+    // the configured ceiling for the zone, and the maximum volume reported by the receiver
+    // The receiver only reports a maximum volume for the main zone, so we limit Zone2 and Zone3 to this also
+    let deviceConfig = this.#getDeviceConfig(macAddress);
+    let maxVolume = this.#rawData?.[macAddress]?.value?.GetAllZoneVolume?.zone1?.maxvolume;
+    let ceilings = [deviceConfig?.volumeCeiling, deviceConfig?.zoneCeilings?.[zone], parseFloat(maxVolume)].filter(
+      (ceiling) => typeof ceiling === 'number' && isNaN(ceiling) === false,
+    );
+
+    return new VolumeCurve({
+      profile: deviceConfig?.volumeProfile,
+      floor: deviceConfig?.volumeFloor,
+      ceiling: ceilings.length !== 0 ? Math.min(...ceilings) : undefined,
+    });
+  }
+
+  async #setHEOS(macAddress, values) {
+    let heosClient = this.#rawData?.[macAddress]?.heosClient;
+    if (heosClient?.online !== true || typeof values?.action !== 'string') {
+      return false;
+    }
+
+    switch (values.action) {
+      case 'playpause': {
+        return await heosClient.playPause();
+      }
+
+      case 'play':
+      case 'pause':
+      case 'stop': {
+        return await heosClient.setPlayState(values.action);
+      }
+
+      case 'next': {
+        return await heosClient.playNext();
+      }
+
+      case 'previous': {
+        return await heosClient.playPrevious();
+      }
+
+      case 'favourite': {
+        return await heosClient.playFavourite(values.preset);
+      }
+    }
+
+    return false;
+  }
+
+  async #sendCommand(macAddress, command) {
+    if (typeof this.#rawData?.[macAddress] !== 'object' || typeof command !== 'string' || command === '') {
+      return false;
+    }
+
+    let connection = this.#connections?.[macAddress];
+    if (connection?.state === ReceiverConnection.State.CONNECTING || connection?.state === ReceiverConnection.State.BACKOFF) {
+      // Connection is being (re)established, so hold the command until we know if we're connected via Telnet or the REST API
+      await new Promise((resolve) => {
+        const stateChange = (state) => {
+          if (state !== ReceiverConnection.State.CONNECTING && state !== ReceiverConnection.State.BACKOFF) {
+            done();
           }
-        })
-        // eslint-disable-next-line no-unused-vars
-        .catch((error) => {});
+        };
+        const done = () => {
+          clearTimeout(timer);
+          connection.removeListener(ReceiverConnection.STATECHANGE, stateChange);
+          resolve();
+        };
+        let timer = setTimeout(done, CONNECTWAIT);
+        connection.on(ReceiverConnection.STATECHANGE, stateChange);
+      });
+    }
+
+    if (connection?.write(command + '\r') === true) {
+      // we have an active Telnet connection, so data was sent via here
+      return true;
+    }
 
-      // Small delay before we return to allow "paced" sending of commands via the REST API
-      await setTimeout(() => {}, AMPCOMMANDDELAY);
+    // Only send via the REST API when that's how we're connected. Commands such as Telnet queries won't work via REST
+    if (connection?.state !== ReceiverConnection.State.REST || typeof this.#rawData[macAddress]?.api?.origin !== 'string') {
+      return false;
     }
+
+    // Spaces in the command are replaced with the URL spaces character
+    let sent = false;
+    await fetchWrapper('get', this.#rawData[macAddress].api.origin + '/goform/formiPhoneAppDirect.xml?' + command.replace(/ /g, '%20'), {
+      timeout: 2000,
+      selfSigned: this.#rawData[macAddress].api.selfSigned,
+    })
+      .then((response) => {
+        if (typeof response?.status !== 'number' || response.status !== 200) {
+          throw new Error('Denon API HTTP get failed with error');
+        }
+        sent = true;
+      })
+      // eslint-disable-next-line no-unused-vars
+      .catch((error) => {});
+
+    return sent;
   }
 
-  async #get(uuid) {}
+  async #get() {}
 
   async #getDeviceInfo(system) {
     if (system === undefined || typeof system !== 'string' || system === '') {
       return;
     }
 
-    let deviceInfo = undefined;
-
-    // Need to try checking at port 80 and port 8080
-    // also, two urls at that address
-    // '/description.xml'
-    // '/renderingcontrol/desc.xml'
-
-    const FETCHURLS = [':8080/description.xml', ':8080/renderingcontrol/desc.xml', ':80/description.xml', ':80/renderingcontrol/desc.xml'];
+    // Need to try checking for the UPnP description at a few ports and urls
+    // Older models publish this at port 80 or port 8080, using either '/description.xml' or '/renderingcontrol/desc.xml'
+    // 2016 onwards models publish this at port 60006, using '/upnp/desc/aios_device/aios_device.xml'
+    const FETCHURLS = [
+      ':8080/description.xml',
+      ':8080/renderingcontrol/desc.xml',
+      ':80/description.xml',
+      ':80/renderingcontrol/desc.xml',
+      ':60006/upnp/desc/aios_device/aios_device.xml',
+    ];
 
+    let sdpData = undefined;
     await Promise.all(
       FETCHURLS.map(async (url) => {
         await fetchWrapper('get', 'http://' + system + url, { timeout: 1000 })
-          .then(async (response) => {
-            let tempResponse = await response.text();
-            let xmlObject = {};
-            parseString(tempResponse, { explicitRoot: false, explicitArray: false, trim: true }, (error, result) => {
-              xmlObject = result;
-            });
-            return xmlObject;
-          })
-          .then(async (sdpData) => {
-            if (sdpData?.device?.presentationURL !== undefined && sdpData.device.presentationURL !== '') {
-              await fetchWrapper('get', new URL(sdpData.device.presentationURL).origin + '/goform/Deviceinfo.xml', {})
-                .then(async (response) => {
-                  let tempResponse = await response.text();
-                  let xmlObject = {};
-                  parseString(tempResponse, { explicitRoot: false, explicitArray: false, trim: true }, (error, result) => {
-                    xmlObject = result;
-                  });
-                  return xmlObject;
-                })
-                .then(async (deviceInfoData) => {
-                  await fetchWrapper(
-                    'post',
-                    new URL(sdpData.device.presentationURL).origin + '/goform/AppCommand.xml',
-                    {},
-                    '<?xml version="1.0" encoding="utf-8"?> <tx> <cmd id="1">GetAllZonePowerStatus</cmd> <cmd id="1">GetAllZoneSource</cmd> <cmd id="1">GetAllZoneVolume</cmd> <cmd id="1">GetAllZoneMuteStatus</cmd> <cmd id="1">GetTunerStatus</cmd> <cmd id="1">GetRenameSource</cmd> <cmd id="1">GetDeletedSource</cmd> <cmd id="1">GetZoneName</cmd> </tx>',
-                  )
-                    .then(async (response) => {
-                      let tempResponse = await response.text();
-                      let xmlObject = {};
-                      parseString(tempResponse, { explicitRoot: false, explicitArray: false, trim: true }, (error, result) => {
-                        xmlObject = result;
-                      });
-                      return xmlObject;
-                    })
-                    .then(async (appCommandData) => {
-                      await fetchWrapper('get', new URL(sdpData.device.presentationURL).origin + '/goform/formiPhoneAppTunerPreset.xml', {})
-                        .then(async (response) => {
-                          let tempResponse = await response.text();
-                          let xmlObject = {};
-                          parseString(tempResponse, { explicitRoot: false, explicitArray: false, trim: true }, (error, result) => {
-                            xmlObject = result;
-                          });
-                          return xmlObject;
-                        })
-                        .then(async (presetData) => {
-                          if (deviceInfoData?.MacAddress !== undefined) {
-                            deviceInfoData.MacAddress = deviceInfoData.MacAddress.toUpperCase()
-                              .toString('hex')
-                              .split(/(..)/)
-                              .filter((s) => s)
-                              .join(':');
-
-                            deviceInfo = {
-                              sdp: sdpData.device,
-                              deviceInfo: deviceInfoData,
-                              GetAllZonePowerStatus: Object.values(appCommandData.cmd)[0],
-                              GetAllZoneMuteStatus: Object.values(appCommandData.cmd)[3],
-                              GetAllZoneVolume: Object.values(appCommandData.cmd)[2],
-                              GetZoneName: Object.values(appCommandData.cmd)[7],
-                              GetAllZoneSource: Object.values(appCommandData.cmd)[1],
-                              GetTunerStatus: Object.values(appCommandData.cmd)[4],
-                              GetRenameSource: Object.values(appCommandData.cmd)[5],
-                              GetDeletedSource: Object.values(appCommandData.cmd)[6],
-                              presets: presetData.PresetLists.value,
-                            };
-                          }
-                        });
-                    });
-                });
+          .then(async (response) => parseXML(await response.text()))
+          .then((xmlObject) => {
+            // Prefer a description which includes a presentation URL, as this tells us where the REST API is
+            if (
+              typeof xmlObject?.device?.friendlyName === 'string' &&
+              (sdpData === undefined ||
+                (typeof sdpData?.presentationURL !== 'string' && typeof xmlObject.device?.presentationURL === 'string'))
+            ) {
+              sdpData = xmlObject.device;
             }
           })
           // eslint-disable-next-line no-unused-vars
@@ -1028,7 +1797,52 @@ export default class DenonAccfactory {
           });
       }),
     );
-    return deviceInfo;
+
+    if (sdpData === undefined) {
+      return;
+    }
+
+    // Work out which flavour of REST API the receiver speaks
+    let probe = await probeAPI(system, sdpData?.presentationURL);
+    if (probe === undefined) {
+      return;
+    }
+
+    let presetData = undefined;
+    await fetchWrapper('get', probe.api.origin + '/goform/formiPhoneAppTunerPreset.xml', {
+      timeout: 2000,
+      selfSigned: probe.api.selfSigned,
+    })
+      .then(async (response) => {
+        presetData = await parseXML(await response.text());
+      })
+      // eslint-disable-next-line no-unused-vars
+      .catch((error) => {
+        // Empty, not all models have tuner presets available via this API
+      });
+
+    probe.deviceInfo.MacAddress = probe.deviceInfo.MacAddress.toUpperCase()
+      .toString('hex')
+      .split(/(..)/)
+      .filter((s) => s)
+      .join(':');
+
+    return {
+      sdp: sdpData,
+      deviceInfo: probe.deviceInfo,
+      api: probe.api,
+      GetAllZonePowerStatus: probe.appCommandData.GetAllZonePowerStatus,
+      GetAllZoneMuteStatus: probe.appCommandData.GetAllZoneMuteStatus,
+      GetAllZoneVolume: probe.appCommandData.GetAllZoneVolume,
+      GetZoneName: probe.appCommandData.GetZoneName,
+      GetAllZoneSource: probe.appCommandData.GetAllZoneSource,
+      GetTunerStatus: probe.appCommandData.GetTunerStatus,
+      GetRenameSource: probe.appCommandData.GetRenameSource,
+      GetDeletedSource: probe.appCommandData.GetDeletedSource,
+      GetSurroundModeStatus: probe.appCommandData.GetSurroundModeStatus,
+      GetAudyssey: probe.appCommandData.GetAudyssey,
+      presets: presetData?.PresetLists?.value,
+    };
   }
 }
 
@@ -1045,6 +1859,229 @@ function makeHomeKitName(nameToMakeValid) {
     : nameToMakeValid;
 }
 
+function makeDeviceID(id) {
+  // Normalise a MAC address or serial number for comparison, ie: '00:05:cd:11:22:33' becomes '0005CD112233'
+  return typeof id === 'string' ? id.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+function makeZoneUsername(macAddress, zone) {
+  // Make a unique HomeKit username for a zone accessory from the receivers MAC address
+  // We mix the zone number into the first octet and set its locally administered bit, so it can't clash with a real device
+  let octets = macAddress.split(':');
+  octets[0] = (((parseInt(octets[0], 16) ^ (zone << 4)) | 0x02) & 0xfe).toString(16).padStart(2, '0').toUpperCase();
+  return octets.join(':');
+}
+
+function collectNames(value, names = []) {
+  // Collect all the names from a section of Deviceinfo.xml, ignoring any numeric values such as control flags
+  if (typeof value === 'string' && isNaN(value) === true) {
+    names.push(value.trim().toUpperCase());
+  }
+  if (typeof value === 'object' && value !== null) {
+    Object.values(value).forEach((entry) => collectNames(entry, names));
+  }
+  return names;
+}
+
+function getSoundModes(deviceInfo) {
+  // Sound modes a receiver supports, from the sound mode capabilities for its main zone in Deviceinfo.xml
+  // If the receiver doesn't list its sound modes, we'll use those all receivers have
+  let soundMode = [deviceInfo?.DeviceZoneCapabilities].flat()[0]?.SoundMode;
+  if (typeof soundMode === 'object' && Number(soundMode?.Control) === 0) {
+    // Sound mode can't be controlled on this receiver
+    return [];
+  }
+
+  let names = collectNames(soundMode);
+
+  return Object.keys(SOUNDMODES).filter((id) =>
+    names.length !== 0 ? names.some((name) => SOUNDMODES[id].capability.test(name) === true) : SOUNDMODES[id].common === true,
+  );
+}
+
+function getZoneInputs(deviceInfo, model, zone, inputs) {
+  // Inputs a zone can play, from the input sources listed for the zone in Deviceinfo.xml. If the receiver doesn't list these,
+  // we use what zones can play on the model. The main zone can play every input, but can't follow itself
+  if (zone === 1) {
+    return inputs.filter((input) => input.type !== DenonAccfactory.Inputs.MAINZONE).map((input) => input.uri);
+  }
+
+  const normalise = (name) => (typeof name === 'string' ? name.toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+  let names = collectNames([deviceInfo?.DeviceZoneCapabilities].flat()[zone - 1]?.InputSource).map((name) => normalise(name));
+
+  return inputs
+    .filter((input) => {
+      if (input.type === DenonAccfactory.Inputs.MAINZONE) {
+        return true;
+      }
+      if (names.length !== 0) {
+        // Tuner bands and presets are played via the tuner, and HEOS favourites via the network input
+        let uri = input.uri;
+        if (input.type === DenonAccfactory.Inputs.TUNER || input.type === DenonAccfactory.Inputs.PRESET) {
+          uri = 'TUNER';
+        }
+        if (input.type === DenonAccfactory.Inputs.FAVOURITE) {
+          uri = 'NET';
+        }
+        return names.includes(normalise(uri)) === true || names.includes(normalise(input.title)) === true;
+      }
+      return ZONEINPUTS.includes(input.type) === true || (zone === 2 && HDMIZONEMODELS.test(model) === true);
+    })
+    .map((input) => input.uri);
+}
+
+function makeInputList(inputs) {
+  // Normalise a configured list of inputs for matching
+  return Array.isArray(inputs) === true
+    ? inputs.filter((input) => typeof input === 'string' && input.trim() !== '').map((input) => input.trim().toUpperCase())
+    : [];
+}
+
+function matchInput(inputs, input) {
+  // Check if an input is in a configured list of inputs, either by its code, name or label
+  return (
+    Array.isArray(inputs) === true &&
+    [input?.uri, input?.title, input?.label].some((name) => typeof name === 'string' && inputs.includes(name.trim().toUpperCase()) === true)
+  );
+}
+
+function formatVolumeDisplay(zoneVolume) {
+  // Build the volume display value for a zone, either in dB (relative) or on the 0-98 scale (absolute)
+  if (zoneVolume?.disptype === 'RELATIVE') {
+    return zoneVolume.volume + 'dB';
+  }
+  if (zoneVolume?.disptype === 'ABSOLUTE') {
+    let volume = zoneVolume.volume !== '--' ? scaleValue(parseFloat(zoneVolume.volume), -79.5, 18, 0, 98) : 0.0;
+    return (Math.round(volume * 2) * 0.5).toFixed(1);
+  }
+  return zoneVolume?.dispvalue;
+}
+
+async function getAppCommandData(api) {
+  // Request a batch of status commands from the receivers AppCommand API. Results are returned key'd by the command name
+  let appCommandData = undefined;
+  await fetchWrapper(
+    'post',
+    api.origin + '/goform/AppCommand.xml',
+    { timeout: 5000, selfSigned: api.selfSigned },
+    '<?xml version="1.0" encoding="utf-8"?> <tx> ' + APPCOMMANDS.map((command) => '<cmd id="1">' + command + '</cmd>').join(' ') + ' </tx>',
+  )
+    .then(async (response) => parseXML(await response.text()))
+    .then((xmlObject) => {
+      // Responses are in the same order as the commands we sent
+      if (xmlObject?.cmd !== undefined) {
+        let results = Array.isArray(xmlObject.cmd) === true ? xmlObject.cmd : [xmlObject.cmd];
+        appCommandData = {};
+        APPCOMMANDS.forEach((command, index) => {
+          appCommandData[command] = results[index];
+        });
+      }
+    })
+    // eslint-disable-next-line no-unused-vars
+    .catch((error) => {});
+
+  if (typeof appCommandData === 'object' && api?.appCommand0300 === true) {
+    appCommandData.GetAudyssey = await getAudysseyData(api);
+  }
+
+  return appCommandData;
+}
+
+async function getAudysseyData(api) {
+  // Request the audio processing settings available from the receivers AppCommand0300 API. Results are key'd by our id for the setting
+  // Settings the receiver doesn't support are reported with a control value of 0, so we exclude these
+  let settings = Object.keys(SETTINGS).filter((id) => SETTINGS[id].rest !== undefined);
+  let audysseyData = undefined;
+  await fetchWrapper(
+    'post',
+    api.origin + '/goform/AppCommand0300.xml',
+    { timeout: 5000, selfSigned: api.selfSigned },
+    '<?xml version="1.0" encoding="utf-8"?> <tx> <cmd id="3"> <name>GetAudyssey</name> <list> ' +
+      settings.map((id) => '<param name="' + SETTINGS[id].rest.name + '"></param>').join(' ') +
+      ' </list> </cmd> </tx>',
+  )
+    .then(async (response) => parseXML(await response.text()))
+    .then((xmlObject) => {
+      let params = [xmlObject?.cmd?.list?.param].flat().filter((param) => typeof param?.$?.name === 'string');
+      audysseyData = {};
+      settings.forEach((id) => {
+        let param = params.find((param) => param.$.name === SETTINGS[id].rest.name);
+        if (param !== undefined && param.$?.control !== '0' && SETTINGS[id].rest.options[Number(param._)] !== undefined) {
+          audysseyData[id] = SETTINGS[id].rest.options[Number(param._)];
+        }
+      });
+    })
+    // eslint-disable-next-line no-unused-vars
+    .catch((error) => {});
+
+  return audysseyData;
+}
+
+async function probeAPI(system, presentationURL) {
+  // Work out where a receivers REST API is, trying in order:
+  // - the presentation URL from the UPnP description, if we have one
+  // - HTTPS on port 10443, used by 2016 onwards models with a self-signed certificate
+  // - HTTP on port 8080
+  // - HTTP on port 80, used by older models
+  // The first location that answers both Deviceinfo.xml and AppCommand.xml is the one we'll use
+  let origins = [
+    typeof presentationURL === 'string' && URL.canParse(presentationURL) === true ? new URL(presentationURL).origin : undefined,
+    'https://' + system + ':10443',
+    'http://' + system + ':8080',
+    'http://' + system,
+  ].filter((origin, index, array) => origin !== undefined && array.indexOf(origin) === index);
+
+  for (const origin of origins) {
+    let api = {
+      flavour: origin.startsWith('https:') === true ? DenonAccfactory.APIFlavour.HTTPS : DenonAccfactory.APIFlavour.HTTP,
+      origin: origin,
+      selfSigned: origin.startsWith('https:') === true,
+      appCommand0300: false,
+    };
+
+    let deviceInfo = undefined;
+    await fetchWrapper('get', origin + '/goform/Deviceinfo.xml', { timeout: 2000, selfSigned: api.selfSigned })
+      .then(async (response) => {
+        deviceInfo = await parseXML(await response.text());
+      })
+      // eslint-disable-next-line no-unused-vars
+      .catch((error) => {});
+
+    let appCommandData = typeof deviceInfo?.MacAddress === 'string' ? await getAppCommandData(api) : undefined;
+    if (appCommandData !== undefined) {
+      // Newer models also have the AppCommand0300 API, which exposes extended settings
+      await fetchWrapper(
+        'post',
+        origin + '/goform/AppCommand0300.xml',
+        { timeout: 2000, selfSigned: api.selfSigned },
+        '<?xml version="1.0" encoding="utf-8"?> <tx> </tx>',
+      )
+        .then((response) => {
+          api.appCommand0300 = response?.status === 200;
+        })
+        // eslint-disable-next-line no-unused-vars
+        .catch((error) => {});
+      if (api.appCommand0300 === true) {
+        appCommandData.GetAudyssey = await getAudysseyData(api);
+      }
+
+      return { api: api, deviceInfo: deviceInfo, appCommandData: appCommandData };
+    }
+  }
+}
+
+async function parseXML(xml) {
+  return new Promise((resolve, reject) => {
+    parseString(xml, { explicitRoot: false, explicitArray: false, trim: true }, (error, result) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
 function scaleValue(value, sourceRangeMin, sourceRangeMax, targetRangeMin, targetRangeMax) {
   if (value < sourceRangeMin) {
     value = sourceRangeMin;
@@ -1079,8 +2116,9 @@ async function fetchWrapper(method, url, options, data, response) {
   }
 
   if (options.retry > 0) {
+    // Receivers using HTTPS need their self-signed certificate accepted, which fetch can't do
     // eslint-disable-next-line no-undef
-    response = await fetch(url, options);
+    response = await (options?.selfSigned === true && url.startsWith('https:') === true ? fetchSelfSigned : fetch)(url, options);
     if (response.ok === false && options.retry > 1) {
       options.retry--; // One less retry to go
 
@@ -1099,3 +2137,88 @@ async function fetchWrapper(method, url, options, data, response) {
 
   return response;
 }
+
+async function fetchSelfSigned(url, options) {
+  // Receivers using HTTPS present a self-signed certificate, which fetch won't accept without disabling checks for every host
+  // So we make these requests ourselves, only relaxing the certificate checks for this request
+  // The certificate a host presents the first time is remembered, and must be presented again on later requests to that host
+  // A different certificate is only trusted once the host has been confirmed as the same receiver, see trustChangedCertificate()
+  let host = new URL(url).host;
+  return new Promise((resolve, reject) => {
+    let request = https.request(
+      url,
+      { method: options.method.toUpperCase(), headers: options?.headers, signal: options?.signal, rejectUnauthorized: false, agent: false },
+      (response) => {
+        let chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+          try {
+            // eslint-disable-next-line no-undef
+            let result = new Response(response.statusCode === 204 || response.statusCode === 304 ? null : Buffer.concat(chunks), {
+              status: response.statusCode,
+              statusText: response.statusMessage,
+            });
+            resolve(result);
+          } catch (error) {
+            reject(error);
+          }
+        });
+      },
+    );
+
+    request.on('socket', (socket) => {
+      socket.on('secureConnect', () => {
+        let fingerprint = socket.getPeerCertificate()?.fingerprint256;
+        if (typeof options?.certificate === 'string') {
+          // Only accepting a specific certificate for this request, ie: while confirming a changed certificate
+          if (options.certificate !== fingerprint) {
+            request.destroy(new Error('Certificate presented by "' + host + '" is not the one expected'));
+          }
+          return;
+        }
+        if (TRUSTEDCERTIFICATES?.[host] === undefined) {
+          TRUSTEDCERTIFICATES[host] = fingerprint;
+        }
+        if (TRUSTEDCERTIFICATES[host] !== fingerprint) {
+          // Remember the changed certificate, so it can be trusted if we confirm the host is still the same receiver
+          CHANGEDCERTIFICATES[host] = fingerprint;
+          request.destroy(new Error('Certificate presented by "' + host + '" has changed'));
+        }
+      });
+    });
+    request.on('error', reject);
+
+    if (options?.body !== undefined) {
+      request.write(options.body);
+    }
+    request.end();
+  });
+}
+
+async function trustChangedCertificate(origin, macAddress) {
+  // Trust a changed certificate presented by a host, but only if the host identifies itself as the receiver we expect
+  // We make a single request accepting only the changed certificate, and check the receivers MAC address in its response
+  let host = typeof origin === 'string' && URL.canParse(origin) === true ? new URL(origin).host : undefined;
+  if (host === undefined || CHANGEDCERTIFICATES?.[host] === undefined) {
+    return false;
+  }
+
+  let fingerprint = CHANGEDCERTIFICATES[host];
+  let deviceInfo = undefined;
+  await fetchWrapper('get', origin + '/goform/Deviceinfo.xml', { timeout: 2000, selfSigned: true, certificate: fingerprint })
+    .then(async (response) => {
+      deviceInfo = await parseXML(await response.text());
+    })
+    // eslint-disable-next-line no-unused-vars
+    .catch((error) => {});
+
+  // Receivers give their MAC address without separators, ie: 0005CDA1B2C3
+  if (typeof deviceInfo?.MacAddress !== 'string' || deviceInfo.MacAddress.toUpperCase() !== String(macAddress).replace(/:/g, '')) {
+    return false;
+  }
+
+  TRUSTEDCERTIFICATES[host] = fingerprint;
+  delete CHANGEDCERTIFICATES[host];
+  return true;
+}
@@ -0,0 +1,384 @@
+// HEOS CLI client for a Denon/Marantz AV Receiver
+// Part of homebridge-denon-accfactory
+//
+// Current receivers include a HEOS player, controllable via the HEOS CLI on TCP port 1255
+// We use this to track now playing media, play state, the play queue and the HEOS favourites
+//
+// reference for details:
+// https://rn.dmglobal.com/euheos/HEOS_CLI_ProtocolSpecification.pdf
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import { setTimeout, clearTimeout } from 'node:timers';
+import net from 'node:net';
+import { URLSearchParams } from 'node:url';
+
+const HEOSPORT = 1255;
+const COMMANDTIMEOUT = 5000; // Time to wait for a response to a command in ms
+const RECONNECTDELAY = 30000; // Initial delay before reconnecting in ms
+const MAXRECONNECTDELAY = 300000; // Maximum delay before reconnecting in ms. Receivers without HEOS will never accept a connection
+const FAVOURITESSOURCE = 1028; // HEOS music source id for favourites
+const QUEUESIZE = 50; // Number of queue entries we'll track
+
+export default class HeosClient extends EventEmitter {
+  static CHANGE = 'change'; // Event emitted with the current state whenever it changes
+  static ONLINE = 'online'; // Event emitted with true/false as we connect and disconnect
+
+  static PlayState = {
+    PLAY: 'play',
+    PAUSE: 'pause',
+    STOP: 'stop',
+  };
+
+  // Internal data only for this class
+  #host = undefined;
+  #port = HEOSPORT;
+  #serialNumber = undefined;
+  #socket = undefined;
+  #buffer = '';
+  #pending = []; // Commands waiting on a response, in the order sent
+  #timer = undefined;
+  #initialDelay = RECONNECTDELAY;
+  #reconnectDelay = RECONNECTDELAY;
+  #stopped = true;
+  #noPlayer = false; // Connected, but the HEOS CLI has no player for this receiver
+  #state = {
+    pid: undefined,
+    name: '',
+    nowPlaying: {},
+    playState: HeosClient.PlayState.STOP,
+    favourites: [],
+    queue: [],
+  };
+
+  constructor(host, options) {
+    super();
+
+    this.#host = host;
+    this.#port = isNaN(options?.port) === false && Number(options.port) > 0 ? Number(options.port) : HEOSPORT;
+    this.#serialNumber = options?.serialNumber;
+    this.#initialDelay =
+      isNaN(options?.reconnectDelay) === false && Number(options.reconnectDelay) > 0 ? Number(options.reconnectDelay) : RECONNECTDELAY;
+    this.#reconnectDelay = this.#initialDelay;
+  }
+
+  // Class functions
+  get state() {
+    // eslint-disable-next-line no-undef
+    return structuredClone(this.#state);
+  }
+
+  get online() {
+    return this.#socket !== undefined && this.#state.pid !== undefined;
+  }
+
+  get host() {
+    // Host can be given as a function, so we always connect to the receivers current address
+    return typeof this.#host === 'function' ? this.#host() : this.#host;
+  }
+
+  start() {
+    if (this.#stopped === false) {
+      return;
+    }
+
+    this.#stopped = false;
+    this.#noPlayer = false;
+    this.#reconnectDelay = this.#initialDelay;
+    this.#connect();
+  }
+
+  stop() {
+    this.#stopped = true;
+    clearTimeout(this.#timer);
+    this.#timer = undefined;
+    if (this.#socket !== undefined) {
+      this.#socket.destroy();
+      this.#socket = undefined;
+    }
+  }
+
+  async command(command, attributes) {
+    // Send a command via the HEOS CLI, ie: command('player/get_players', { pid: 1234 })
+    // Resolves with the parsed response, or undefined if no response was received
+    if (this.#socket === undefined || typeof command !== 'string' || command === '') {
+      return;
+    }
+
+    let query = new URLSearchParams(typeof attributes === 'object' ? attributes : {}).toString();
+    return new Promise((resolve) => {
+      let pending = { command: command, resolve: resolve, timer: undefined };
+      pending.timer = setTimeout(() => {
+        this.#pending = this.#pending.filter((entry) => entry !== pending);
+        resolve();
+      }, COMMANDTIMEOUT);
+      this.#pending.push(pending);
+      this.#socket.write('heos://' + command + (query !== '' ? '?' + query : '') + '\r\n');
+    });
+  }
+
+  async setPlayState(state) {
+    if (Object.values(HeosClient.PlayState).includes(state) === false || this.#state.pid === undefined) {
+      return false;
+    }
+
+    let response = await this.command('player/set_play_state', { pid: this.#state.pid, state: state });
+    return response?.heos?.result === 'success';
+  }
+
+  async playPause() {
+    return await this.setPlayState(
+      this.#state.playState === HeosClient.PlayState.PLAY ? HeosClient.PlayState.PAUSE : HeosClient.PlayState.PLAY,
+    );
+  }
+
+  async playNext() {
+    if (this.#state.pid === undefined) {
+      return false;
+    }
+
+    let response = await this.command('player/play_next', { pid: this.#state.pid });
+    return response?.heos?.result === 'success';
+  }
+
+  async playPrevious() {
+    if (this.#state.pid === undefined) {
+      return false;
+    }
+
+    let response = await this.command('player/play_previous', { pid: this.#state.pid });
+    return response?.heos?.result === 'success';
+  }
+
+  async playFavourite(preset) {
+    if (this.#state.pid === undefined) {
+      return false;
+    }
+
+    // Favourites are played by their position in the favourites list, starting at 1
+    let response = await this.command('browse/play_preset', { pid: this.#state.pid, preset: preset });
+    return response?.heos?.result === 'success';
+  }
+
+  #connect() {
+    if (this.#stopped === true || typeof this.host !== 'string' || this.host === '') {
+      return;
+    }
+
+    let socket = net.createConnection({ host: this.host, port: this.#port });
+    socket.setTimeout(COMMANDTIMEOUT);
+    this.#socket = socket;
+    this.#buffer = '';
+
+    socket.on('connect', async () => {
+      if (this.#stopped === true || this.#socket !== socket) {
+        // Stopped, or replaced by another connection while we were connecting
+        socket.destroy();
+        return;
+      }
+
+      socket.setTimeout(0);
+      socket.setKeepAlive(true);
+
+      // We don't want change events for other connections on this CLI session until we know our player
+      await this.command('system/register_for_change_events', { enable: 'off' });
+      let found = await this.#findPlayer();
+      if (found !== true) {
+        // No HEOS player found for this receiver, so no point staying connected
+        // If the player list confirmed there is no player, we won't try connecting again
+        this.#noPlayer = found === false;
+        socket.destroy();
+        return;
+      }
+
+      this.#reconnectDelay = this.#initialDelay;
+      this.emit(HeosClient.ONLINE, true);
+      await this.command('system/register_for_change_events', { enable: 'on' });
+      await this.#refreshPlayState();
+      await this.#refreshNowPlaying();
+      await this.#refreshQueue();
+      await this.#refreshFavourites();
+    });
+
+    socket.on('timeout', () => {
+      socket.destroy();
+    });
+
+    socket.on('data', (data) => {
+      // Responses are JSON objects terminated by CRLF. We may receive partial or multiple responses at once
+      let lines = (this.#buffer + data.toString()).split('\r\n');
+      this.#buffer = lines.pop();
+      lines.forEach((line) => {
+        if (line.trim() !== '') {
+          this.#processResponse(line);
+        }
+      });
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    socket.on('error', (error) => {
+      // Empty, socket will be closed
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    socket.on('close', (hadError) => {
+      if (this.#socket !== undefined && this.#socket !== socket) {
+        // Replaced by a newer connection, so nothing for us to clean up
+        return;
+      }
+
+      let wasOnline = this.online;
+      this.#socket = undefined;
+      this.#pending.forEach((pending) => {
+        clearTimeout(pending.timer);
+        pending.resolve();
+      });
+      this.#pending = [];
+      this.#state.pid = undefined;
+      if (wasOnline === true) {
+        this.emit(HeosClient.ONLINE, false);
+      }
+
+      if (this.#stopped === false && this.#noPlayer === false) {
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => {
+          this.#timer = undefined;
+          this.#connect();
+        }, this.#reconnectDelay);
+        this.#reconnectDelay = Math.min(this.#reconnectDelay * 2, MAXRECONNECTDELAY);
+      }
+    });
+  }
+
+  async #findPlayer() {
+    // The HEOS CLI on any device lists all players on the network, so find the one for our receiver by its address or serial number
+    // Returns true if found, false if the player list doesn't include our receiver, or undefined if we didn't get a player list
+    let serialNumber = typeof this.#serialNumber === 'function' ? this.#serialNumber() : this.#serialNumber;
+    let response = await this.command('player/get_players');
+    if (Array.isArray(response?.payload) === false) {
+      return;
+    }
+
+    let player = response.payload.find(
+      ({ ip, serial }) => ip === this.host || (typeof serialNumber === 'string' && serialNumber !== '' && serial === serialNumber),
+    );
+    if (player === undefined) {
+      return false;
+    }
+
+    this.#state.pid = player.pid;
+    this.#state.name = typeof player.name === 'string' ? player.name : '';
+    return true;
+  }
+
+  async #refreshPlayState() {
+    let response = await this.command('player/get_play_state', { pid: this.#state.pid });
+    let state = new URLSearchParams(response?.heos?.message).get('state');
+    if (Object.values(HeosClient.PlayState).includes(state) === true) {
+      this.#update({ playState: state });
+    }
+  }
+
+  async #refreshNowPlaying() {
+    let response = await this.command('player/get_now_playing_media', { pid: this.#state.pid });
+    if (typeof response?.payload === 'object') {
+      this.#update({
+        nowPlaying: {
+          type: typeof response.payload.type === 'string' ? response.payload.type : '',
+          title: typeof response.payload.song === 'string' ? response.payload.song : '',
+          artist: typeof response.payload.artist === 'string' ? response.payload.artist : '',
+          album: typeof response.payload.album === 'string' ? response.payload.album : '',
+          station: typeof response.payload.station === 'string' ? response.payload.station : '',
+          image: typeof response.payload.image_url === 'string' ? response.payload.image_url : '',
+          sid: response.payload.sid,
+        },
+      });
+    }
+  }
+
+  async #refreshQueue() {
+    let response = await this.command('player/get_queue', { pid: this.#state.pid, range: '0,' + (QUEUESIZE - 1) });
+    if (Array.isArray(response?.payload) === true) {
+      this.#update({
+        queue: response.payload.map((entry) => ({
+          qid: entry.qid,
+          title: typeof entry.song === 'string' ? entry.song : '',
+          artist: typeof entry.artist === 'string' ? entry.artist : '',
+          album: typeof entry.album === 'string' ? entry.album : '',
+        })),
+      });
+    }
+  }
+
+  async #refreshFavourites() {
+    let response = await this.command('browse/browse', { sid: FAVOURITESSOURCE });
+    if (Array.isArray(response?.payload) === true) {
+      this.#update({
+        favourites: response.payload
+          .filter((favourite) => favourite?.playable === 'yes')
+          .map((favourite, index) => ({
+            preset: index + 1,
+            name: typeof favourite.name === 'string' ? favourite.name : 'Favourite ' + (index + 1),
+            mid: favourite.mid,
+          })),
+      });
+    }
+  }
+
+  #processResponse(line) {
+    let response = undefined;
+    try {
+      response = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    let command = typeof response?.heos?.command === 'string' ? response.heos.command : '';
+    let message = new URLSearchParams(typeof response?.heos?.message === 'string' ? response.heos.message : '');
+
+    if (command.startsWith('event/') === true) {
+      // Unsolicited change event. Only interested in those for our player (or none specific)
+      if (message.has('pid') === true && Number(message.get('pid')) !== Number(this.#state.pid)) {
+        return;
+      }
+      if (command === 'event/player_state_changed' && Object.values(HeosClient.PlayState).includes(message.get('state')) === true) {
+        this.#update({ playState: message.get('state') });
+      }
+      if (command === 'event/player_now_playing_changed') {
+        this.#refreshNowPlaying();
+      }
+      if (command === 'event/player_queue_changed') {
+        this.#refreshQueue();
+      }
+      if (command === 'event/sources_changed' || command === 'event/user_changed') {
+        this.#refreshFavourites();
+      }
+      return;
+    }
+
+    if (message.has('command under process') === true) {
+      // Long running command acknowledged, the real response will follow
+      return;
+    }
+
+    // Responses arrive in the order commands were sent
+    let index = this.#pending.findIndex((pending) => pending.command === command);
+    if (index !== -1) {
+      let pending = this.#pending.splice(index, 1)[0];
+      clearTimeout(pending.timer);
+      pending.resolve(response);
+    }
+  }
+
+  #update(changes) {
+    let changed = Object.entries(changes).some(([key, value]) => JSON.stringify(this.#state[key]) !== JSON.stringify(value));
+    if (changed === true) {
+      Object.assign(this.#state, changes);
+      this.emit(HeosClient.CHANGE, this.state);
+    }
+  }
+}
@@ -0,0 +1,193 @@
+// Minimal mDNS service browser
+// Part of homebridge-denon-accfactory
+//
+// Sends DNS-SD PTR queries for the requested service types and reports the responders found
+// Queries are sent from an ephemeral port, so responders answer us directly via unicast rather than multicast
+//
+// reference for details:
+// https://datatracker.ietf.org/doc/html/rfc6762
+// https://datatracker.ietf.org/doc/html/rfc6763
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import dgram from 'node:dgram';
+import { Buffer } from 'node:buffer';
+
+const MDNSADDRESS = '224.0.0.251';
+const MDNSPORT = 5353;
+
+export default class MDNSBrowser extends EventEmitter {
+  static RESPONSE = 'response'; // Event emitted with { address, service, name, txt } for each service instance found
+
+  static RecordType = {
+    A: 1,
+    PTR: 12,
+    TXT: 16,
+    SRV: 33,
+  };
+
+  // Internal data only for this class
+  #socket = undefined;
+
+  // Class functions
+  start(services) {
+    // Send PTR queries for the service types, ie: ['_heos-audio._tcp.local']
+    if (this.#socket !== undefined || Array.isArray(services) === false || services.length === 0) {
+      return;
+    }
+
+    let socket = dgram.createSocket({ type: 'udp4' });
+    this.#socket = socket;
+
+    socket.on('message', (message, info) => {
+      let records = MDNSBrowser.parsePacket(message);
+      if (records === undefined) {
+        return;
+      }
+
+      // Each PTR answer for a requested service type is an instance of that service. TXT records for the instance may be
+      // included in either the answer or additional sections
+      records
+        .filter((record) => record.type === MDNSBrowser.RecordType.PTR && services.includes(record.name.toLowerCase()) === true)
+        .forEach((record) => {
+          let txt = records.find((entry) => entry.type === MDNSBrowser.RecordType.TXT && entry.name === record.data);
+          this.emit(MDNSBrowser.RESPONSE, {
+            address: info.address,
+            service: record.name.toLowerCase(),
+            name: record.data,
+            txt: txt !== undefined ? txt.data : {},
+          });
+        });
+    });
+
+    // eslint-disable-next-line no-unused-vars
+    socket.on('error', (error) => {
+      this.stop();
+    });
+
+    socket.bind(0, () => {
+      let query = MDNSBrowser.buildQuery(services, MDNSBrowser.RecordType.PTR);
+      socket.send(query, 0, query.length, MDNSPORT, MDNSADDRESS);
+    });
+  }
+
+  stop() {
+    if (this.#socket !== undefined) {
+      this.#socket.close();
+      this.#socket = undefined;
+    }
+  }
+
+  static buildQuery(names, type) {
+    // Build a DNS query packet with a question for each name
+    let header = Buffer.alloc(12);
+    header.writeUInt16BE(names.length, 4); // Question count
+
+    let questions = names.map((name) => {
+      let labels = name
+        .split('.')
+        .filter((label) => label !== '')
+        .map((label) => Buffer.concat([Buffer.from([Buffer.byteLength(label)]), Buffer.from(label)]));
+      let question = Buffer.alloc(4);
+      question.writeUInt16BE(type, 0);
+      question.writeUInt16BE(1, 2); // Class IN
+      return Buffer.concat([...labels, Buffer.from([0]), question]);
+    });
+
+    return Buffer.concat([header, ...questions]);
+  }
+
+  static parsePacket(packet) {
+    // Parse the resource records from a DNS response packet. Returns undefined if the packet isn't a valid response
+    if (Buffer.isBuffer(packet) === false || packet.length < 12 || (packet.readUInt16BE(2) & 0x8000) === 0) {
+      return;
+    }
+
+    let records = [];
+    try {
+      let offset = 12;
+      let questions = packet.readUInt16BE(4);
+      let count = packet.readUInt16BE(6) + packet.readUInt16BE(8) + packet.readUInt16BE(10);
+
+      for (let index = 0; index < questions; index++) {
+        offset = readName(packet, offset).offset + 4;
+      }
+
+      for (let index = 0; index < count; index++) {
+        let name = readName(packet, offset);
+        offset = name.offset;
+        let type = packet.readUInt16BE(offset);
+        let length = packet.readUInt16BE(offset + 8);
+        let start = offset + 10;
+        offset = start + length;
+        if (offset > packet.length) {
+          return;
+        }
+
+        let data = undefined;
+        if (type === MDNSBrowser.RecordType.A && length === 4) {
+          data = Array.from(packet.subarray(start, offset)).join('.');
+        }
+        if (type === MDNSBrowser.RecordType.PTR) {
+          data = readName(packet, start).name;
+        }
+        if (type === MDNSBrowser.RecordType.SRV && length >= 7) {
+          data = { port: packet.readUInt16BE(start + 4), target: readName(packet, start + 6).name };
+        }
+        if (type === MDNSBrowser.RecordType.TXT) {
+          // TXT data is a series of length prefixed "key=value" strings
+          data = {};
+          for (let position = start; position < offset; position = position + packet[position] + 1) {
+            let entry = packet.subarray(position + 1, position + 1 + packet[position]).toString();
+            if (entry !== '') {
+              data[entry.split('=')[0].toLowerCase()] = entry.includes('=') === true ? entry.substring(entry.indexOf('=') + 1) : '';
+            }
+          }
+        }
+
+        records.push({ name: name.name, type: type, data: data });
+      }
+    } catch {
+      // Malformed packet
+      return;
+    }
+
+    return records;
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function readName(packet, offset) {
+  // Read a DNS name, following any compression pointers. Returns the name and the offset after it in the packet
+  let labels = [];
+  let end = undefined;
+  let jumps = 0;
+  while (packet[offset] !== 0) {
+    if (offset >= packet.length) {
+      throw new Error('Name beyond end of packet');
+    }
+    if ((packet[offset] & 0xc0) === 0xc0) {
+      // Compression pointer to a name elsewhere in the packet. Guard against pointer loops
+      if (end === undefined) {
+        end = offset + 2;
+      }
+      offset = packet.readUInt16BE(offset) & 0x3fff;
+      jumps++;
+      if (jumps > 10) {
+        throw new Error('Too many compression pointers');
+      }
+      continue;
+    }
+    if (offset + 1 + packet[offset] > packet.length) {
+      throw new Error('Label beyond end of packet');
+    }
+    labels.push(packet.subarray(offset + 1, offset + 1 + packet[offset]).toString());
+    offset = offset + 1 + packet[offset];
+  }
+
+  return { name: labels.join('.'), offset: end !== undefined ? end : offset + 1 };
+}
@@ -5,8 +5,78 @@
 // Mark Hulskamp
 'use strict';
 
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { setTimeout } from 'node:timers';
+
 // Import our modules
 import HomeKitDevice from './HomeKitDevice.js';
+import VolumeCurve from './volume.js';
+
+const MAXSLEEPTIMER = 120; // Longest sleep timer receivers support in minutes
+const DEFAULTSLEEPTIMER = 30; // Sleep timer used until one is set in HomeKit, in minutes
+
+// Custom characteristics for tuning the tuner, which we add to the main zones television service
+const TUNERFREQUENCYUUID = 'ACC740EC-3DF8-4E1A-8227-A32C5545C88F'; // Frequency to tune to, in MHz for FM or kHz/100 for AM
+const TUNERPRESETUUID = '47695228-D535-4E58-9048-83CFB552AC19'; // Preset to store the current station into
+const MAXTUNERPRESETS = 56;
+
+// Custom characteristic for storing a zones current input, volume and sound mode into a Quick Select/Smart Select slot
+const QUICKSELECTUUID = 'E0F5C7B2-5D1A-4B8E-9C36-2A7D41F3B69E';
+const MAXQUICKSELECTS = 5;
+
+// Audio levels we expose as custom characteristics on a zones speaker service, key'd by our id for the level
+// Values are in dB, except for audio delay which is in ms. Receivers use a value of 50 for 0dB in the Telnet API commands,
+// and zones other than the main zone prefix the command with the zone ie: Z2PSBAS
+const AUDIOLEVELS = {
+  BASS: {
+    name: 'Bass',
+    uuid: '613DCFB9-9118-460B-9756-8F3B5CEF587B',
+    minValue: -6,
+    maxValue: 6,
+    minStep: 1,
+    command: 'PSBAS ',
+    offset: 50,
+  },
+  TREBLE: {
+    name: 'Treble',
+    uuid: '9A950B6A-BC07-4503-9114-D214673D19B1',
+    minValue: -6,
+    maxValue: 6,
+    minStep: 1,
+    command: 'PSTRE ',
+    offset: 50,
+  },
+  SUBWOOFER: {
+    name: 'Subwoofer Level',
+    uuid: '9681CBF4-539F-4A41-A017-4C98534B8A56',
+    minValue: -12,
+    maxValue: 12,
+    minStep: 0.5,
+    command: 'PSSWL ',
+    offset: 50,
+  },
+  CENTRE: {
+    name: 'Centre Level',
+    uuid: '82063CB5-0C71-474F-B125-921CFC066B7E',
+    minValue: -12,
+    maxValue: 12,
+    minStep: 0.5,
+    command: 'CVC ',
+    offset: 50,
+  },
+  LIPSYNC: {
+    name: 'Audio Delay',
+    uuid: '5E3CA557-B974-4342-B9E2-52156995B72F',
+    minValue: 0,
+    maxValue: 500,
+    minStep: 1,
+    command: 'PSDELAY ',
+    offset: undefined,
+  },
+};
 
 export default class AVReceiver extends HomeKitDevice {
   static RemoteCommand = {
@@ -26,11 +96,26 @@ export default class AVReceiver extends HomeKitDevice {
 
   // Internal data only for this class
   #remoteCommands = [];
-  #amplifierServices = [];
+  #heosRemoteCommands = {};
+  #amplifierServices = {}; // Television and TelevisionSpeaker services for each zone, key'd by zone number
+  #cachedOptions = {}; // Values we've set, used until the receiver reports them back
+  #inputServices = []; // InputSource services for the receivers inputs
+  #soundModeServices = {}; // Switch services for the receivers sound modes, key'd by sound mode id
+  #settingServices = {}; // Switch or Fanv2 services for the receivers audio processing and energy settings, key'd by setting id
+  #powerService = undefined; // Outlet service for the receivers system power and power draw
+  #audioLevelCharacteristics = {}; // Custom characteristics for audio levels, key'd by level id
+  #tunerCharacteristics = {}; // Custom characteristics for the tuner
+  #tunerRemoteCommands = {}; // Remote keys which tune the tuner when a zone is on a tuner input
+  #quickSelectServices = {}; // Switch services for each zones Quick Select/Smart Select slots
+  #quickSelectCharacteristic = undefined; // Custom characteristic to store into a Quick Select/Smart Select slot
+  #inputSourceTypes = {};
+  #eventEmitter = undefined;
 
   constructor(accessory, api, log, eventEmitter, deviceData) {
     super(accessory, api, log, eventEmitter, deviceData);
 
+    this.#eventEmitter = eventEmitter;
+
     // Define some extra remote commands that aren't in the HAP spec
     this.hap.Characteristic.RemoteKey.SETTINGS = 101;
     this.hap.Characteristic.RemoteKey.PLAY = 102;
@@ -45,13 +130,71 @@ export default class AVReceiver extends HomeKitDevice {
       [this.hap.Characteristic.RemoteKey.ARROW_DOWN]: AVReceiver.RemoteCommand.ARROW_DOWN,
       [this.hap.Characteristic.RemoteKey.ARROW_LEFT]: AVReceiver.RemoteCommand.ARROW_LEFT,
       [this.hap.Characteristic.RemoteKey.ARROW_RIGHT]: AVReceiver.RemoteCommand.ARROW_RIGHT,
-      [this.hap.Characteristic.RemoteKey.SELECT]: AVReceiver.RemoteCommand.SETTINGS,
+      [this.hap.Characteristic.RemoteKey.SELECT]: AVReceiver.RemoteCommand.SELECT,
       [this.hap.Characteristic.RemoteKey.BACK]: AVReceiver.RemoteCommand.BACK,
       [this.hap.Characteristic.RemoteKey.EXIT]: AVReceiver.RemoteCommand.EXIT,
       [this.hap.Characteristic.RemoteKey.PLAY_PAUSE]: AVReceiver.RemoteCommand.PLAY_PAUSE,
       [this.hap.Characteristic.RemoteKey.INFORMATION]: AVReceiver.RemoteCommand.INFORMATION,
       [this.hap.Characteristic.RemoteKey.SETTINGS]: AVReceiver.RemoteCommand.SETTINGS,
     };
+
+    // Mapping of receiver input types to HomeKit input source types. Any input type not listed here is treated as HDMI
+    this.#inputSourceTypes = {
+      MEMORY: this.hap.Characteristic.InputSourceType.TUNER,
+      RADIO: this.hap.Characteristic.InputSourceType.TUNER,
+      'IPOD/USB': this.hap.Characteristic.InputSourceType.USB,
+      NET: this.hap.Characteristic.InputSourceType.AIRPLAY,
+      BLUETOOTH: this.hap.Characteristic.InputSourceType.AIRPLAY,
+      SPOTIFY: this.hap.Characteristic.InputSourceType.APPLICATION,
+      FAVOURITE: this.hap.Characteristic.InputSourceType.APPLICATION,
+      MAINZONE: this.hap.Characteristic.InputSourceType.OTHER,
+    };
+
+    // HomeKit has no characteristics for tone and channel levels or tuning, so we define our own. These can be used in apps such as Eve
+    Object.entries(AUDIOLEVELS).forEach(([id, level]) => {
+      this.#audioLevelCharacteristics[id] = this.#makeCharacteristic(level.name, level.uuid, {
+        format: this.hap.Formats.FLOAT,
+        minValue: level.minValue,
+        maxValue: level.maxValue,
+        minStep: level.minStep,
+      });
+    });
+    this.#tunerCharacteristics = {
+      frequency: this.#makeCharacteristic('Tuner Frequency', TUNERFREQUENCYUUID, {
+        format: this.hap.Formats.FLOAT,
+        minValue: 0,
+        maxValue: 9999.99,
+        minStep: 0.01,
+      }),
+      preset: this.#makeCharacteristic('Store Tuner Preset', TUNERPRESETUUID, {
+        format: this.hap.Formats.UINT8,
+        minValue: 0,
+        maxValue: MAXTUNERPRESETS,
+        minStep: 1,
+      }),
+    };
+
+    this.#quickSelectCharacteristic = this.#makeCharacteristic('Store Quick Select', QUICKSELECTUUID, {
+      format: this.hap.Formats.UINT8,
+      minValue: 0,
+      maxValue: MAXQUICKSELECTS,
+      minStep: 1,
+    });
+
+    // Remote keys which seek stations and step through presets when on a tuner input
+    this.#tunerRemoteCommands = {
+      [this.hap.Characteristic.RemoteKey.ARROW_UP]: ['TMANAUTO', 'TFANUP'],
+      [this.hap.Characteristic.RemoteKey.ARROW_DOWN]: ['TMANAUTO', 'TFANDOWN'],
+      [this.hap.Characteristic.RemoteKey.ARROW_RIGHT]: 'TPANUP',
+      [this.hap.Characteristic.RemoteKey.ARROW_LEFT]: 'TPANDOWN',
+    };
+
+    // Remote keys which are handled by the receivers HEOS player when on a network source
+    this.#heosRemoteCommands = {
+      [this.hap.Characteristic.RemoteKey.NEXT_TRACK]: 'next',
+      [this.hap.Characteristic.RemoteKey.PREVIOUS_TRACK]: 'previous',
+      [this.hap.Characteristic.RemoteKey.PLAY_PAUSE]: 'playpause',
+    };
   }
 
   // Class functions
@@ -59,12 +202,28 @@ export default class AVReceiver extends HomeKitDevice {
     let postSetupDetails = [];
 
     this.deviceData.zones.forEach((zone, index) => {
+      let zoneNumber = index + 1;
+      if (zone.enabled === false) {
+        // Zone isn't being exposed on this accessory, so remove any services we previously created for it
+        // ie: the zone is now published as its own accessory
+        [this.hap.Service.Valve, this.hap.Service.TelevisionSpeaker, this.hap.Service.Television].forEach((serviceType) => {
+          let service = this.accessory.getServiceById(serviceType, zoneNumber);
+          if (service !== undefined) {
+            this.accessory.removeService(service);
+          }
+        });
+        return;
+      }
+
       // Setup the "television" service if not already present on the accessory
-      let tempService = this.accessory.getServiceById(this.hap.Service.Television, index + 1);
+      let tempService = this.accessory.getServiceById(this.hap.Service.Television, zoneNumber);
       if (tempService === undefined) {
-        tempService = this.accessory.addService(this.hap.Service.Television, '', index + 1);
+        tempService = this.accessory.addService(this.hap.Service.Television, '', zoneNumber);
+      }
+      if (Object.keys(this.#amplifierServices).length === 0) {
+        // First zone we expose is the primary service for the accessory
+        tempService.setPrimaryService();
       }
-      tempService.setPrimaryService();
 
       // Set defaults for characteristics
       tempService.setCharacteristic(this.hap.Characteristic.ConfiguredName, zone.name);
@@ -73,330 +232,1200 @@ export default class AVReceiver extends HomeKitDevice {
         this.hap.Characteristic.SleepDiscoveryMode.ALWAYS_DISCOVERABLE,
       );
       tempService.setCharacteristic(this.hap.Characteristic.ClosedCaptions, this.hap.Characteristic.ClosedCaptions.DISABLED);
+      tempService.setCharacteristic(
+        this.hap.Characteristic.Active,
+        zone.power === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
+      );
+      tempService.setCharacteristic(this.hap.Characteristic.CurrentMediaState, this.#mediaState(zone.nowPlaying?.playState));
 
       // Setup callbacks for characteristics
+      tempService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
+        this.setZonePower(zoneNumber, value);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
+        return this.deviceData.zones?.[index]?.power === true
+          ? this.hap.Characteristic.Active.ACTIVE
+          : this.hap.Characteristic.Active.INACTIVE;
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.ActiveIdentifier).onSet((value) => {
+        this.setZoneInput(zoneNumber, value);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.ActiveIdentifier).onGet(() => {
+        return this.getZoneInput(zoneNumber);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.RemoteKey).onSet((value) => {
+        this.sendRemoteKey(zoneNumber, value);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.PowerModeSelection).onSet((value) => {
+        this.accessSettings(zoneNumber, value);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.CurrentMediaState).onGet(() => {
+        return this.#mediaState(this.deviceData.zones?.[index]?.nowPlaying?.playState);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.TargetMediaState).onSet((value) => {
+        this.setZoneMediaState(zoneNumber, value);
+      });
 
-      this.#amplifierServices.push(this.tempService);
+      if (zoneNumber === 1 && this.deviceData.inputs.some(({ uri }) => uri.startsWith('TUNER') === true) === true) {
+        // Tuning controls for the receivers tuner, which we only have on the main zone as the tuner is shared by all zones
+        [this.#tunerCharacteristics.frequency, this.#tunerCharacteristics.preset].forEach((characteristic) => {
+          if (tempService.testCharacteristic(characteristic) === false) {
+            tempService.addCharacteristic(characteristic);
+          }
+        });
+        tempService.getCharacteristic(this.#tunerCharacteristics.frequency).onSet((value) => {
+          this.tuneFrequency(value);
+        });
+        tempService.getCharacteristic(this.#tunerCharacteristics.frequency).onGet(() => {
+          return this.deviceData.tuner?.frequency ?? 0;
+        });
+        tempService.getCharacteristic(this.#tunerCharacteristics.preset).onSet((value) => {
+          this.storeTunerPreset(value);
+        });
+        tempService.getCharacteristic(this.#tunerCharacteristics.preset).onGet(() => {
+          return this.deviceData.tuner?.preset ?? 0;
+        });
+      }
+
+      if (zone.quickSelect?.slots > 0) {
+        // Store the zones current input, volume and sound mode into a Quick Select/Smart Select slot
+        if (tempService.testCharacteristic(this.#quickSelectCharacteristic) === false) {
+          tempService.addCharacteristic(this.#quickSelectCharacteristic);
+        }
+        tempService.getCharacteristic(this.#quickSelectCharacteristic).onSet((value) => {
+          this.storeZoneQuickSelect(zoneNumber, value);
+        });
+        tempService.getCharacteristic(this.#quickSelectCharacteristic).onGet(() => {
+          return this.deviceData.zones?.[index]?.quickSelect?.active ?? 0;
+        });
+      }
+      if (zone.quickSelect?.slots === 0 && tempService.testCharacteristic(this.#quickSelectCharacteristic) === true) {
+        tempService.removeCharacteristic(tempService.getCharacteristic(this.#quickSelectCharacteristic));
+      }
+
+      // Setup the "speaker" service for the zone, linked to the "television" service
+      let speakerService = this.accessory.getServiceById(this.hap.Service.TelevisionSpeaker, zoneNumber);
+      if (speakerService === undefined) {
+        speakerService = this.accessory.addService(this.hap.Service.TelevisionSpeaker, '', zoneNumber);
+      }
+      speakerService.setCharacteristic(this.hap.Characteristic.ConfiguredName, zone.name);
+      speakerService.setCharacteristic(
+        this.hap.Characteristic.Active,
+        zone.power === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
+      );
+      speakerService.setCharacteristic(this.hap.Characteristic.VolumeControlType, this.hap.Characteristic.VolumeControlType.ABSOLUTE);
+      speakerService.setCharacteristic(this.hap.Characteristic.Volume, zone.volume);
+      speakerService.setCharacteristic(this.hap.Characteristic.Mute, zone.mute === true);
+      speakerService.getCharacteristic(this.hap.Characteristic.VolumeSelector).onSet((value) => {
+        this.setZoneVolume(zoneNumber, value);
+      });
+      speakerService.getCharacteristic(this.hap.Characteristic.Volume).onSet((value) => {
+        this.setZoneAbsoluteVolume(zoneNumber, value);
+      });
+      speakerService.getCharacteristic(this.hap.Characteristic.Volume).onGet(() => {
+        return this.deviceData.zones?.[index]?.volume;
+      });
+      speakerService.getCharacteristic(this.hap.Characteristic.Mute).onSet((value) => {
+        this.setZoneMute(zoneNumber, value);
+      });
+      speakerService.getCharacteristic(this.hap.Characteristic.Mute).onGet(() => {
+        return this.deviceData.zones?.[index]?.mute === true;
+      });
+      if (tempService.linkedServices.includes(speakerService) === false) {
+        tempService.addLinkedService(speakerService);
+      }
+
+      // Setup a "valve" service for the zones sleep timer. The valves duration is the sleep timer in minutes, with the remaining
+      // duration counting down until the zone is turned off
+      let sleepService = this.accessory.getServiceById(this.hap.Service.Valve, zoneNumber);
+      if (sleepService === undefined) {
+        sleepService = this.accessory.addService(this.hap.Service.Valve, zone.name + ' Sleep', zoneNumber);
+      }
+      sleepService.setCharacteristic(this.hap.Characteristic.ValveType, this.hap.Characteristic.ValveType.GENERIC_VALVE);
+      sleepService
+        .getCharacteristic(this.hap.Characteristic.SetDuration)
+        .setProps({ minValue: 60, maxValue: MAXSLEEPTIMER * 60, minStep: 60 });
+      sleepService.getCharacteristic(this.hap.Characteristic.RemainingDuration).setProps({ maxValue: MAXSLEEPTIMER * 60 });
+      if (sleepService.getCharacteristic(this.hap.Characteristic.SetDuration).value < 60) {
+        sleepService.setCharacteristic(this.hap.Characteristic.SetDuration, DEFAULTSLEEPTIMER * 60);
+      }
+      sleepService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
+        this.setZoneSleepTimer(
+          zoneNumber,
+          value === this.hap.Characteristic.Active.ACTIVE
+            ? sleepService.getCharacteristic(this.hap.Characteristic.SetDuration).value / 60
+            : 0,
+        );
+      });
+      sleepService.getCharacteristic(this.hap.Characteristic.Active).onGet(() => {
+        return this.deviceData.zones?.[index]?.sleepTimer > 0
+          ? this.hap.Characteristic.Active.ACTIVE
+          : this.hap.Characteristic.Active.INACTIVE;
+      });
+      sleepService.getCharacteristic(this.hap.Characteristic.SetDuration).onSet((value) => {
+        if (this.deviceData.zones?.[index]?.sleepTimer > 0) {
+          // Sleep timer is running, so change it to the new duration
+          this.setZoneSleepTimer(zoneNumber, value / 60);
+        }
+      });
+      sleepService.getCharacteristic(this.hap.Characteristic.RemainingDuration).onGet(() => {
+        return this.#remainingSleep(this.deviceData.zones?.[index]);
+      });
+
+      this.#buildAudioLevels(zoneNumber, speakerService, zone.audioLevels);
+
+      this.#amplifierServices[zoneNumber] = { television: tempService, speaker: speakerService, sleep: sleepService };
+      this.#addZoneHistory(zoneNumber, zone);
 
       postSetupDetails.push('Zone "' + zone.name + '"');
     });
 
+    // Setup inputs, reusing any InputSource services restored from cache and removing those for inputs no longer present
+    this.#buildInputs(this.deviceData.inputs, this.deviceData.zones);
+
+    // Setup switches for recalling each zones Quick Select/Smart Select slots
+    this.#buildQuickSelects(this.deviceData.zones);
+    if (Object.keys(this.#quickSelectServices).length !== 0) {
+      postSetupDetails.push('Quick Select');
+    }
+
+    // Setup switches for selecting the main zones sound mode
+    this.#buildSoundModes(this.deviceData.soundModes);
+    if (Object.keys(this.#soundModeServices).length !== 0) {
+      postSetupDetails.push('Sound modes');
+    }
+
+    // Setup switches and selectors for the receivers audio processing and energy settings
+    this.#buildSettings(this.deviceData.settings);
+    if (Object.keys(this.#settingServices).length !== 0) {
+      postSetupDetails.push('Settings');
+    }
+
+    // Setup an "outlet" service for the receivers system power. We record the receivers estimated power draw against this as
+    // Eve energy history. System power affects all zones, so we only have this when the main zone is exposed on this accessory
+    this.#powerService = this.accessory.getServiceById(this.hap.Service.Outlet, 'POWER');
+    if (this.deviceData.zones?.[0]?.enabled !== true && this.#powerService !== undefined) {
+      this.accessory.removeService(this.#powerService);
+      this.#powerService = undefined;
+    }
+    if (this.deviceData.zones?.[0]?.enabled === true) {
+      if (this.#powerService === undefined) {
+        this.#powerService = this.accessory.addService(this.hap.Service.Outlet, 'Power', 'POWER');
+      }
+      this.#powerService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+        this.setSystemPower(value);
+      });
+      this.#powerService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+        return this.deviceData.zones.some((zone) => zone.power === true);
+      });
+      this.#updatePower(this.deviceData);
+
+      this.historyService?.linkToEveHome(this.#powerService, {
+        description: this.deviceData.description,
+      });
+      postSetupDetails.push('Power');
+    }
+
     return postSetupDetails;
   }
 
-  setZonePower(zone, value, callback) {
-    this.AMPServices[zone - 1].updateCharacteristic(HAP.Characteristic.Active, value);
-    this.set({ command: (zone == 1 ? 'ZM' : 'Z' + zone) + (value == HAP.Characteristic.Active.ACTIVE ? 'ON' : 'OFF') });
+  async sendCommand(command) {
+    // Send command(s) to the receiver via its outbound queue
+    // Resolves to true once sent, and acknowledged by the receiver if we're expecting that
+    if (this.#eventEmitter === undefined) {
+      return false;
+    }
 
-    this.cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
-    this.cachedOptions.zones[zone - 1].power = value == HAP.Characteristic.Active.ACTIVE ? true : false;
+    let id = crypto.randomUUID();
+    // eslint-disable-next-line no-undef
+    let result = EventEmitter.once(this.#eventEmitter, HomeKitDevice.SET + '->' + id, { signal: AbortSignal.timeout(30000) });
+    await this.set({ command: command, id: id });
+    return await result.then((results) => results?.[0] === true).catch(() => false);
   }
 
-  getZonePower(zone, callback) {
-    if (typeof callback === 'function')
-      callback(null, this.deviceData.zones[zone - 1].power == true ? HAP.Characteristic.Active.ACTIVE : HAP.Characteristic.Active.INACTIVE); // do callback if defined
-    return this.deviceData.zones[zone - 1].power;
+  setZonePower(zone, value) {
+    this.#amplifierServices?.[zone]?.television?.updateCharacteristic(this.hap.Characteristic.Active, value);
+    this.set({ command: (zone === 1 ? 'ZM' : 'Z' + zone) + (value === this.hap.Characteristic.Active.ACTIVE ? 'ON' : 'OFF') });
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+    this.#cachedOptions.zones[zone - 1].power = value === this.hap.Characteristic.Active.ACTIVE;
   }
 
-  setZoneInput(zone, value, callback) {
-    let input = this.deviceData.inputs.find(({ uri }) => this.#crc32(uri) == value);
-    if (typeof input == 'object') {
-      this.AMPServices[zone - 1].updateCharacteristic(HAP.Characteristic.ActiveIdentifier, value);
+  setZoneInput(zone, value) {
+    let input = this.deviceData.inputs.find(({ uri }) => this.#crc32(uri) === value);
+    if (typeof input !== 'object') {
+      return;
+    }
+    if (
+      Array.isArray(this.deviceData.zones?.[zone - 1]?.inputs) === true &&
+      this.deviceData.zones[zone - 1].inputs.includes(input.uri) === false
+    ) {
+      // Zone can't play this input, ie: HDMI inputs on Zone2 for most models
+      this?.log?.warn &&
+        this.log.warn(
+          'Input "%s" cannot be played on zone "%s" of "%s"',
+          input.label,
+          this.deviceData.zones[zone - 1].name,
+          this.deviceData.description,
+        );
+      return;
+    }
 
-      if (input.uri.startsWith('TUNER') == true) {
-        // Set input to a tuner
-        this.set({ command: zone == 1 ? 'SITUNER' : 'Z' + zone + 'TUNER' });
-        this.set({ command: 'TMAN' + input.uri.substring(5, input.uri.length) });
-      }
-      if (input.uri.startsWith('PRESET') == true) {
-        // Set input to a tuner preset
-        this.set({ command: zone == 1 ? 'SITUNER' : 'Z' + zone + 'TUNER' });
-        this.set({ command: 'TMAN' + input.title.split(' ')[0] }); // AM/FM/DAB
-        this.set({ command: 'TPAN' + input.uri.substring(6, 8) });
-      }
-      if (input.uri.startsWith('TUNER') == false && input.uri.startsWith('PRESET') == false) {
-        // Set to another input which isn't a tuner or preset
-        this.set({ command: (zone == 1 ? 'SI' : 'Z' + zone) + input.uri });
-      }
-      this.cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
-      this.cachedOptions.zones[zone - 1].input = input.uri;
-      this.cachedOptions.zones[zone - 1].source = typeof preset == 'object' ? preset.uri : '';
-      this.cachedOptions.zones[zone - 1].label = '';
+    this.#amplifierServices?.[zone]?.television?.updateCharacteristic(this.hap.Characteristic.ActiveIdentifier, value);
+
+    let zoneInput = input.uri;
+    let zoneSource = '';
+    if (input.uri.startsWith('TUNER') === true) {
+      // Set input to a tuner, then select the band
+      this.set({ command: [zone === 1 ? 'SITUNER' : 'Z' + zone + 'TUNER', 'TMAN' + input.uri.substring(5)] });
+    }
+    if (input.uri.startsWith('PRESET') === true) {
+      // Set input to a tuner, then select the band and preset
+      // Preset titles are in the format '<band> <frequency>'
+      zoneInput = 'TUNER' + input.title.split(' ')[0].toUpperCase();
+      zoneSource = input.uri;
+      this.set({
+        command: [zone === 1 ? 'SITUNER' : 'Z' + zone + 'TUNER', 'TMAN' + input.title.split(' ')[0], 'TPAN' + input.uri.substring(6, 8)],
+      });
+    }
+    if (input.uri.startsWith('FAVOURITE') === true) {
+      // Set input to network, and have the HEOS player play the favourite
+      this.set({
+        command: (zone === 1 ? 'SI' : 'Z' + zone) + 'NET',
+        heos: { action: 'favourite', preset: Number(input.uri.substring(9)) },
+      });
+    }
+    if (
+      input.uri.startsWith('TUNER') === false &&
+      input.uri.startsWith('PRESET') === false &&
+      input.uri.startsWith('FAVOURITE') === false
+    ) {
+      // Set to another input which isn't a tuner, preset or favourite. Following the main zone is selected the same way, ie: 'Z2SOURCE'
+      this.set({ command: (zone === 1 ? 'SI' : 'Z' + zone) + input.uri });
+    }
+    if (input.uri === 'SOURCE') {
+      // Zone will now be playing whatever the main zone is
+      zoneInput = this.deviceData.zones[0].input;
+      zoneSource = this.deviceData.zones[0].source;
+    }
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+    this.#cachedOptions.zones[zone - 1].input = zoneInput;
+    this.#cachedOptions.zones[zone - 1].source = zoneSource;
+    this.#cachedOptions.zones[zone - 1].follow = input.uri === 'SOURCE';
+    this.#cachedOptions.zones[zone - 1].label = '';
+  }
+
+  getZoneInput(zone) {
+    return this.#zoneIdentifier(this.deviceData.zones?.[zone - 1]);
+  }
+
+  setZoneVolume(zone, value) {
+    if (this.deviceData.zones?.[zone - 1]?.power === true) {
+      this.set({
+        command: (zone === 1 ? 'MV' : 'Z' + zone) + (value === this.hap.Characteristic.VolumeSelector.INCREMENT ? 'UP' : 'DOWN'),
+      });
+    }
+  }
+
+  setZoneAbsoluteVolume(zone, value) {
+    // Volume from HomeKit is a percentage, which we map onto the zones volume curve. The platform also limits what we send to the
+    // zones volume ceiling. Main zone volume can be set in half steps, other zones only in whole steps
+    if (this.deviceData.zones?.[zone - 1]?.power !== true) {
+      return;
+    }
+
+    let level = VolumeCurve.toLevel(new VolumeCurve(this.deviceData.zones[zone - 1].volumeCurve).toDecibels(value));
+    this.set({ command: (zone === 1 ? 'MV' : 'Z' + zone) + VolumeCurve.formatLevel(zone === 1 ? level : Math.round(level)) });
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+    this.#cachedOptions.zones[zone - 1].volume = value;
+  }
+
+  setZoneMute(zone, value) {
+    if (this.deviceData.zones?.[zone - 1]?.power === true) {
+      this.set({ command: (zone === 1 ? 'MU' : 'Z' + zone + 'MU') + (value === true ? 'ON' : 'OFF') });
+
+      // eslint-disable-next-line no-undef
+      this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+      this.#cachedOptions.zones[zone - 1].mute = value === true;
+    }
+  }
+
+  setSystemPower(value) {
+    // Turning off the system puts the receiver into standby, turning off all zones. When turned on, zones return to how they were
+    this.#powerService?.updateCharacteristic(this.hap.Characteristic.On, value === true);
+    this.set({ command: value === true ? 'PWON' : 'PWSTANDBY' });
+
+    if (value !== true) {
+      // eslint-disable-next-line no-undef
+      this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+      this.#cachedOptions.zones.forEach((zone) => {
+        zone.power = false;
+      });
     }
   }
 
-  getZoneInput(zone, callback) {
-    let inputService = this.AMPInputs.find(
-      (inputService) =>
-        inputService.getCharacteristic(HAP.Characteristic.Identifier).value === this.#crc32(this.deviceData.zones[zone - 1].input),
+  setSoundMode(soundMode, value) {
+    // Sound modes are mutually exclusive, so a switch can only be turned on, which turns off the switch for the current mode
+    let mode = this.deviceData.soundModes.find(({ id }) => id === soundMode);
+    if (typeof mode !== 'object' || value !== true) {
+      setTimeout(() => {
+        this.#soundModeServices?.[soundMode]?.updateCharacteristic(this.hap.Characteristic.On, this.deviceData.soundMode === soundMode);
+      }, 100);
+      return;
+    }
+
+    Object.entries(this.#soundModeServices).forEach(([id, service]) => {
+      service.updateCharacteristic(this.hap.Characteristic.On, id === soundMode);
+    });
+    this.set({ command: mode.command });
+
+    this.#cachedOptions.soundMode = soundMode;
+  }
+
+  setZoneQuickSelect(zone, slot, value) {
+    // Recall a Quick Select/Smart Select slot for a zone. Like sound modes, a slot can only be turned on, which turns off the others
+    let zoneData = this.deviceData.zones?.[zone - 1];
+    if (zoneData?.power !== true || value !== true) {
+      setTimeout(() => {
+        this.#quickSelectServices?.[zone]?.[slot]?.updateCharacteristic(this.hap.Characteristic.On, zoneData?.quickSelect?.active === slot);
+      }, 100);
+      return;
+    }
+
+    Object.entries(this.#quickSelectServices?.[zone] ?? {}).forEach(([id, service]) => {
+      service.updateCharacteristic(this.hap.Characteristic.On, Number(id) === slot);
+    });
+    this.set({ command: (zone === 1 ? 'MS' : 'Z' + zone) + zoneData.quickSelect.type + slot });
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+    this.#cachedOptions.zones[zone - 1].quickSelect.active = slot;
+  }
+
+  storeZoneQuickSelect(zone, slot) {
+    // Store the zones current input, volume and sound mode into a Quick Select/Smart Select slot
+    let zoneData = this.deviceData.zones?.[zone - 1];
+    if (zoneData?.power !== true || isNaN(slot) === true || slot < 1 || slot > zoneData.quickSelect?.slots) {
+      return;
+    }
+
+    this.set({ command: (zone === 1 ? 'MS' : 'Z' + zone) + zoneData.quickSelect.type + slot + ' MEMORY' });
+    this?.log?.info &&
+      this.log.info(
+        'Stored zone "%s" on "%s" into %s Select "%s"',
+        zoneData.name,
+        this.deviceData.description,
+        zoneData.quickSelect.type === 'SMART' ? 'Smart' : 'Quick',
+        slot,
+      );
+  }
+
+  setSetting(setting, option) {
+    // Change an audio processing or energy setting to one of its options
+    let index = this.deviceData.settings.findIndex(({ id }) => id === setting);
+    if (index === -1 || this.deviceData.settings[index].options.includes(option) === false) {
+      return;
+    }
+
+    this.set({ command: this.deviceData.settings[index].command + option });
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.settings = structuredClone(this.deviceData.settings); // Deep copy
+    this.#cachedOptions.settings[index].value = option;
+  }
+
+  setZoneAudioLevel(zone, level, value) {
+    // Set a tone or channel level in dB, or the audio delay in ms, rounded to the steps the receiver supports
+    if (typeof AUDIOLEVELS?.[level] !== 'object' || typeof this.deviceData.zones?.[zone - 1]?.audioLevels?.[level] !== 'number') {
+      return;
+    }
+
+    value = Math.min(
+      Math.max(Math.round(Number(value) / AUDIOLEVELS[level].minStep) * AUDIOLEVELS[level].minStep, AUDIOLEVELS[level].minValue),
+      AUDIOLEVELS[level].maxValue,
     );
-    if (typeof inputService == 'object') {
-      let activeIdentifier = inputService.getCharacteristic(HAP.Characteristic.Identifier).value;
+    if (isNaN(value) === true) {
+      return;
+    }
 
-      if (this.deviceData.zones[zone - 1].input.startsWith('TUNER') == true && this.deviceData.zones[zone - 1].source != '') {
-        let inputService = this.AMPInputs.find(
-          (inputService) =>
-            inputService.getCharacteristic(HAP.Characteristic.Identifier).value === this.#crc32(this.deviceData.zones[zone - 1].source),
-        );
-        if (typeof inputService == 'object') {
-          // Preset input is active on the tuner
-          activeIdentifier = inputService.getCharacteristic(HAP.Characteristic.Identifier).value;
-        }
-      }
+    this.set({
+      command:
+        (zone === 1 ? '' : 'Z' + zone) +
+        AUDIOLEVELS[level].command +
+        (AUDIOLEVELS[level].offset !== undefined
+          ? VolumeCurve.formatLevel(value + AUDIOLEVELS[level].offset)
+          : String(value).padStart(3, '0')),
+    });
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+    this.#cachedOptions.zones[zone - 1].audioLevels[level] = value;
+  }
+
+  setZoneSleepTimer(zone, minutes) {
+    // Sleep timer can be 1 to 120 minutes, or 0 to turn off. Receivers only accept this when the zone is on
+    minutes = Math.min(Math.max(Math.round(Number(minutes)), 0), MAXSLEEPTIMER);
+    if (this.deviceData.zones?.[zone - 1]?.power !== true || isNaN(minutes) === true) {
+      return;
     }
-    return activeIdentifier;
+
+    this.set({ command: (zone === 1 ? 'SLP' : 'Z' + zone + 'SLP') + (minutes !== 0 ? String(minutes).padStart(3, '0') : 'OFF') });
+
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.zones = structuredClone(this.deviceData.zones); // Deep copy
+    this.#cachedOptions.zones[zone - 1].sleepTimer = minutes;
+    this.#cachedOptions.zones[zone - 1].sleepEnds = minutes !== 0 ? Date.now() + minutes * 60000 : 0;
   }
 
-  setZoneVolume(zone, value, callback) {
-    if (this.speakerServices[zone - 1].getCharacteristic(HAP.Characteristic.Active).value == HAP.Characteristic.Active.ACTIVE) {
-      this.set({ command: (zone == 1 ? 'MV' : 'Z' + zone) + (value == HAP.Characteristic.VolumeSelector.INCREMENT ? 'UP' : 'DOWN') });
+  accessSettings(zone, value) {
+    if (value === this.hap.Characteristic.PowerModeSelection.SHOW) {
+      this.sendRemoteKey(zone, this.hap.Characteristic.RemoteKey.SETTINGS);
     }
   }
 
-  setZoneMute(zone, value, callback) {
-    if (this.speakerServices[zone - 1].getCharacteristic(HAP.Characteristic.Active).value == HAP.Characteristic.Active.ACTIVE) {
-      this.set({ 'command:': (zone == 1 ? 'MU' : 'Z' + zone + 'MU') + (value == true ? 'ON' : 'OFF') });
+  tuneFrequency(frequency) {
+    // Tune the tuner to a frequency. Frequencies are sent as 6 digits in 10kHz steps for FM, ie: 105.00MHz is 010500
+    frequency = Number(frequency);
+    if (isNaN(frequency) === true || frequency <= 0) {
+      return;
+    }
+
+    this.set({ command: ['TMANMANUAL', 'TFAN' + String(Math.round(frequency * 100)).padStart(6, '0')] });
+  }
+
+  storeTunerPreset(preset) {
+    // Store the current station into a preset, then request the preset list again so the preset inputs are updated
+    preset = Number(preset);
+    if (Number.isInteger(preset) === false || preset < 1 || preset > MAXTUNERPRESETS) {
+      return;
     }
+
+    this.set({ command: ['TPANMEM' + String(preset).padStart(2, '0'), 'OPTPN ?'] });
+    this?.log?.info && this.log.info('Stored current station on "%s" into preset "%s"', this.deviceData.description, preset);
   }
 
-  accessSettings(value, callback) {
-    if (value == HAP.Characteristic.PowerModeSelection.SHOW) {
-      this.sendRemoteKey(HAP.Characteristic.RemoteKey.SETTINGS, null);
+  setZoneMediaState(zone, value) {
+    // Play, pause or stop what's playing on a zone. Only network sources have transport controls
+    let zoneData = this.deviceData.zones?.[zone - 1];
+    if (zoneData?.power !== true || zoneData?.nowPlaying?.title === '') {
+      return;
+    }
+
+    if (this.deviceData?.heos?.online !== true) {
+      // Without HEOS we don't know if playing or paused, so can't tell if a play/pause toggle would do what was asked
+      return;
+    }
+
+    let states = {
+      [this.hap.Characteristic.TargetMediaState.PLAY]: 'play',
+      [this.hap.Characteristic.TargetMediaState.PAUSE]: 'pause',
+      [this.hap.Characteristic.TargetMediaState.STOP]: 'stop',
+    };
+    if (typeof states?.[value] === 'string') {
+      this.set({ heos: { action: states[value] } });
     }
   }
 
-  sendRemoteKey(value, callback) {
-    let index = REMOTE_COMMANDS.findIndex(({ id }) => id === value);
-    if (index != -1 && REMOTE_COMMANDS[index].command != '') {
-      this.set({ command: REMOTE_COMMANDS[index].command });
+  sendRemoteKey(zone, value) {
+    // Transport controls on network sources are sent via the HEOS player where available
+    let input = this.deviceData.zones?.[zone - 1]?.input;
+    if (typeof input === 'string' && input.startsWith('TUNER') === true && this.#tunerRemoteCommands?.[value] !== undefined) {
+      // Arrow keys seek stations and step through presets when on a tuner input
+      this.set({ command: this.#tunerRemoteCommands[value] });
+      return;
+    }
+
+    if (
+      this.deviceData?.heos?.online === true &&
+      typeof this.#heosRemoteCommands?.[value] === 'string' &&
+      typeof input === 'string' &&
+      (input === 'NET' || input === 'SPOTIFY' || input === 'BT' || input.startsWith('FAVOURITE') === true)
+    ) {
+      this.set({ heos: { action: this.#heosRemoteCommands[value] } });
+      return;
+    }
+
+    if (typeof this.#remoteCommands?.[value] === 'string' && this.#remoteCommands[value] !== '') {
+      this.set({ command: this.#remoteCommands[value] });
     }
   }
 
-  updateHomeKitServices(updatedDeviceData) {
+  updateServices(updatedDeviceData) {
+    if (typeof updatedDeviceData !== 'object') {
+      return;
+    }
+
     // Insert any cached parameters we have stored.
-    Object.entries(this.cachedOptions).forEach(([key, value]) => {
+    Object.entries(this.#cachedOptions).forEach(([key, value]) => {
       if (
-        JSON.stringify(updatedDeviceData[key]) == JSON.stringify(this.deviceData[key]) &&
-        JSON.stringify(updatedDeviceData[key]) != JSON.stringify(value)
+        JSON.stringify(updatedDeviceData[key]) === JSON.stringify(this.deviceData[key]) &&
+        JSON.stringify(updatedDeviceData[key]) !== JSON.stringify(value)
       ) {
         // Since the new data from the device matches the existing device data, use value from cache
         updatedDeviceData[key] = value;
-      } else if (JSON.stringify(updatedDeviceData[key]) != JSON.stringify(this.deviceData[key])) {
+      } else if (JSON.stringify(updatedDeviceData[key]) !== JSON.stringify(this.deviceData[key])) {
         // New data for this key is different than our internally stored data, so we'll assume a change was triggered on external system
-        delete this.cachedOptions[key];
+        delete this.#cachedOptions[key];
       } else if (
-        JSON.stringify(value) == JSON.stringify(updatedDeviceData[key]) &&
-        JSON.stringify(value) == JSON.stringify(this.deviceData[key])
+        JSON.stringify(value) === JSON.stringify(updatedDeviceData[key]) &&
+        JSON.stringify(value) === JSON.stringify(this.deviceData[key])
       ) {
         // Our cached value now matches the incoming device data, so remove from cache
-        delete this.cachedOptions[key];
+        delete this.#cachedOptions[key];
       }
     });
 
-    // Update zone(s) to indicate which input is active on that zone
-    updatedDeviceData.zones.forEach((zone, index) => {
-      if (zone.power != this.deviceData.zones[index].power) {
-        if (zone.power == true) {
-          // Zone is being powered on. If we have any cached data that needs sending, do so below
-          // <---- TODO
-        }
+    // If the receivers inputs, or those the zones can play have changed, rebuild the InputSource services to match
+    if (
+      JSON.stringify(updatedDeviceData.inputs.map(({ uri }) => uri)) !== JSON.stringify(this.deviceData.inputs.map(({ uri }) => uri)) ||
+      JSON.stringify(updatedDeviceData.zones.map(({ inputs }) => inputs)) !==
+        JSON.stringify(this.deviceData.zones.map(({ inputs }) => inputs))
+    ) {
+      this.#buildInputs(updatedDeviceData.inputs, updatedDeviceData.zones);
+    }
 
-        outputLogging(
-          ACCESSORYNAME,
-          true,
-          "Zone '%s' on '%s' was turned '%s'",
-          zone.name,
+    // If the Quick Select/Smart Select slots for the zones have changed, rebuild their switches to match
+    if (
+      JSON.stringify(updatedDeviceData.zones.map(({ enabled, quickSelect }) => [enabled, quickSelect?.type, quickSelect?.slots])) !==
+      JSON.stringify(this.deviceData.zones.map(({ enabled, quickSelect }) => [enabled, quickSelect?.type, quickSelect?.slots]))
+    ) {
+      this.#buildQuickSelects(updatedDeviceData.zones);
+    }
+
+    // If the sound modes the receiver supports have changed, rebuild the sound mode switches to match
+    if (JSON.stringify(updatedDeviceData.soundModes) !== JSON.stringify(this.deviceData.soundModes)) {
+      this.#buildSoundModes(updatedDeviceData.soundModes);
+    }
+    Object.entries(this.#soundModeServices).forEach(([id, service]) => {
+      service.updateCharacteristic(this.hap.Characteristic.On, updatedDeviceData.soundMode === id);
+    });
+    if (updatedDeviceData.soundModeName !== this.deviceData.soundModeName && updatedDeviceData.soundModeName !== '') {
+      this?.log?.debug && this.log.debug('Sound mode on "%s" is now "%s"', this.deviceData.description, updatedDeviceData.soundModeName);
+    }
+
+    // Update system power, and record any change in the receivers power draw to history
+    if (
+      updatedDeviceData.power?.watts !== this.deviceData.power?.watts ||
+      updatedDeviceData.zones.some((zone) => zone.power === true) !== this.deviceData.zones.some((zone) => zone.power === true)
+    ) {
+      this.#updatePower(updatedDeviceData);
+    }
+
+    // If the settings the receiver supports have changed, rebuild their services to match
+    if (JSON.stringify(updatedDeviceData.settings.map(({ id }) => id)) !== JSON.stringify(this.deviceData.settings.map(({ id }) => id))) {
+      this.#buildSettings(updatedDeviceData.settings);
+    }
+    updatedDeviceData.settings.forEach((setting) => {
+      this.#updateSetting(this.#settingServices?.[setting.id], setting);
+      let previous = this.deviceData.settings.find(({ id }) => id === setting.id);
+      if (previous !== undefined && previous.value !== setting.value) {
+        this?.log?.info && this.log.info('%s on "%s" was set to "%s"', setting.name, this.deviceData.description, setting.value);
+      }
+    });
+
+    // Log what's on air when it changes, if a zone is listening to the tuner
+    let tuner = updatedDeviceData.tuner;
+    if (
+      typeof tuner === 'object' &&
+      (tuner.station !== this.deviceData.tuner?.station || tuner.radioText !== this.deviceData.tuner?.radioText) &&
+      (tuner.station !== '' || tuner.radioText !== '') &&
+      updatedDeviceData.zones.some((zone) => zone.power === true && zone.input.startsWith('TUNER') === true) === true
+    ) {
+      this?.log?.info &&
+        this.log.info(
+          'Tuner on "%s" is playing "%s"%s',
           this.deviceData.description,
-          zone.power == true ? 'on' : 'off',
+          tuner.station !== '' ? tuner.station : tuner.frequency,
+          tuner.radioText !== '' ? ' - ' + tuner.radioText : '',
         );
+    }
+    let mainTelevisionService = this.#amplifierServices?.[1]?.television;
+    if (typeof tuner === 'object' && mainTelevisionService?.testCharacteristic(this.#tunerCharacteristics.frequency) === true) {
+      mainTelevisionService.updateCharacteristic(this.#tunerCharacteristics.frequency, tuner.frequency);
+    }
+
+    // Update zone(s) to indicate power, volume, mute and which input is active on that zone
+    updatedDeviceData.zones.forEach((zone, index) => {
+      let zoneNumber = index + 1;
+      if (
+        zone.power !== this.deviceData.zones?.[index]?.power ||
+        zone.volume !== this.deviceData.zones?.[index]?.volume ||
+        zone.input !== this.deviceData.zones?.[index]?.input ||
+        zone.source !== this.deviceData.zones?.[index]?.source
+      ) {
+        this.#addZoneHistory(zoneNumber, zone);
+      }
+      if (zone.power !== this.deviceData.zones?.[index]?.power) {
+        this?.log?.info &&
+          this.log.info('Zone "%s" on "%s" was turned "%s"', zone.name, this.deviceData.description, zone.power === true ? 'on' : 'off');
+      }
+      if (
+        typeof zone.nowPlaying === 'object' &&
+        zone.nowPlaying.title !== '' &&
+        (zone.nowPlaying.title !== this.deviceData.zones?.[index]?.nowPlaying?.title ||
+          zone.nowPlaying.artist !== this.deviceData.zones?.[index]?.nowPlaying?.artist)
+      ) {
+        this?.log?.info &&
+          this.log.info(
+            'Zone "%s" on "%s" is playing "%s"%s%s',
+            zone.name,
+            this.deviceData.description,
+            zone.nowPlaying.title,
+            zone.nowPlaying.artist !== '' ? ' by "' + zone.nowPlaying.artist + '"' : '',
+            zone.nowPlaying.app !== '' ? ' from "' + zone.nowPlaying.app + '"' : '',
+          );
       }
 
-      if (typeof this.AMPServices[index] == 'object') {
-        this.AMPServices[index].updateCharacteristic(
-          HAP.Characteristic.Active,
-          zone.power == true ? HAP.Characteristic.Active.ACTIVE : HAP.Characteristic.Active.INACTIVE,
+      let televisionService = this.#amplifierServices?.[zoneNumber]?.television;
+      if (typeof televisionService === 'object') {
+        televisionService.updateCharacteristic(
+          this.hap.Characteristic.Active,
+          zone.power === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
         );
+        televisionService.updateCharacteristic(this.hap.Characteristic.CurrentMediaState, this.#mediaState(zone.nowPlaying?.playState));
 
         // Update active input for this zone. We still do this even if powered off to reflect in HomeKit
-        let inputService = this.AMPInputs.find(
-          (inputService) => inputService.getCharacteristic(HAP.Characteristic.Identifier).value === this.getZoneInput(index + 1, null),
+        let identifier = this.#zoneIdentifier(zone);
+        let inputService = this.#inputServices.find(
+          (inputService) => inputService.getCharacteristic(this.hap.Characteristic.Identifier).value === identifier,
         );
-        if (typeof inputService == 'object') {
-          this.AMPServices[index].updateCharacteristic(
-            HAP.Characteristic.ActiveIdentifier,
-            inputService.getCharacteristic(HAP.Characteristic.Identifier).value,
-          );
+        if (zone.input !== '' && typeof inputService === 'object') {
+          televisionService.updateCharacteristic(this.hap.Characteristic.ActiveIdentifier, identifier);
 
-          if (zone.power == true && zone.input != this.deviceData.zones[index].input) {
+          if (zone.power === true && zone.input !== this.deviceData.zones?.[index]?.input) {
             // If device is powered on, log which input we changed to
-            outputLogging(
-              ACCESSORYNAME,
-              true,
-              "Input for Zone '%s' on '%s' was switched to '%s'",
-              zone.name,
-              this.deviceData.description,
-              inputService.getCharacteristic(HAP.Characteristic.ConfiguredName).value,
-            );
+            this?.log?.info &&
+              this.log.info(
+                'Input for Zone "%s" on "%s" was switched to "%s"',
+                zone.name,
+                this.deviceData.description,
+                inputService.getCharacteristic(this.hap.Characteristic.ConfiguredName).value,
+              );
           }
         }
       }
 
-      if (typeof this.speakerServices[index] == 'object') {
-        this.speakerServices[index].updateCharacteristic(
-          HAP.Characteristic.Active,
-          zone.power == true ? HAP.Characteristic.Active.ACTIVE : HAP.Characteristic.Active.INACTIVE,
+      let speakerService = this.#amplifierServices?.[zoneNumber]?.speaker;
+      if (typeof speakerService === 'object') {
+        speakerService.updateCharacteristic(
+          this.hap.Characteristic.Active,
+          zone.power === true ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
         );
-        this.speakerServices[index].updateCharacteristic(HAP.Characteristic.Volume, zone.volume);
-        this.speakerServices[index].updateCharacteristic(HAP.Characteristic.Mute, zone.mute);
+        speakerService.updateCharacteristic(this.hap.Characteristic.Volume, zone.volume);
+        speakerService.updateCharacteristic(this.hap.Characteristic.Mute, zone.mute === true);
+
+        // Add characteristics for any audio levels the receiver has now reported, and update their values
+        this.#buildAudioLevels(zoneNumber, speakerService, zone.audioLevels);
+      }
+
+      Object.entries(this.#quickSelectServices?.[zoneNumber] ?? {}).forEach(([slot, service]) => {
+        service.updateCharacteristic(this.hap.Characteristic.On, zone.quickSelect?.active === Number(slot));
+      });
+      if (zone.quickSelect?.active > 0 && zone.quickSelect.active !== this.deviceData.zones?.[index]?.quickSelect?.active) {
+        this?.log?.info &&
+          this.log.info(
+            'Zone "%s" on "%s" recalled %s Select "%s"',
+            zone.name,
+            this.deviceData.description,
+            zone.quickSelect.type === 'SMART' ? 'Smart' : 'Quick',
+            zone.quickSelect.active,
+          );
+      }
+
+      let sleepService = this.#amplifierServices?.[zoneNumber]?.sleep;
+      if (typeof sleepService === 'object') {
+        sleepService.updateCharacteristic(
+          this.hap.Characteristic.Active,
+          zone.sleepTimer > 0 ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
+        );
+        sleepService.updateCharacteristic(
+          this.hap.Characteristic.InUse,
+          zone.sleepTimer > 0 ? this.hap.Characteristic.InUse.IN_USE : this.hap.Characteristic.InUse.NOT_IN_USE,
+        );
+        sleepService.updateCharacteristic(this.hap.Characteristic.RemainingDuration, this.#remainingSleep(zone));
+        if (zone.sleepTimer > 0 && zone.sleepEnds !== this.deviceData.zones?.[index]?.sleepEnds) {
+          sleepService.updateCharacteristic(this.hap.Characteristic.SetDuration, zone.sleepTimer * 60);
+        }
       }
     });
 
     // Update input names and which are hidden/shown.
     updatedDeviceData.inputs.forEach((input) => {
-      let inputService = this.AMPInputs.find(
-        (inputService) => inputService.getCharacteristic(HAP.Characteristic.Identifier).value === this.#crc32(input.uri),
+      let inputService = this.#inputServices.find(
+        (inputService) => inputService.getCharacteristic(this.hap.Characteristic.Identifier).value === this.#crc32(input.uri),
       );
-      if (typeof inputService == 'object') {
-        inputService.updateCharacteristic(HAP.Characteristic.ConfiguredName, input.label);
+      if (typeof inputService === 'object') {
+        inputService.updateCharacteristic(this.hap.Characteristic.ConfiguredName, input.label);
         inputService.updateCharacteristic(
-          HAP.Characteristic.CurrentVisibilityState,
-          input.hidden == true ? HAP.Characteristic.CurrentVisibilityState.HIDDEN : HAP.Characteristic.CurrentVisibilityState.SHOWN,
+          this.hap.Characteristic.CurrentVisibilityState,
+          input.hidden === true
+            ? this.hap.Characteristic.CurrentVisibilityState.HIDDEN
+            : this.hap.Characteristic.CurrentVisibilityState.SHOWN,
         );
         inputService.updateCharacteristic(
-          HAP.Characteristic.TargetVisibilityState,
-          input.hidden == true ? HAP.Characteristic.CurrentVisibilityState.HIDDEN : HAP.Characteristic.CurrentVisibilityState.SHOWN,
+          this.hap.Characteristic.TargetVisibilityState,
+          input.hidden === true
+            ? this.hap.Characteristic.TargetVisibilityState.HIDDEN
+            : this.hap.Characteristic.TargetVisibilityState.SHOWN,
         );
       }
     });
   }
 
-  #setInputName(inputService, value, callback) {
+  #mediaState(playState) {
+    // Map a play state from now playing details to the HomeKit media state
+    if (playState === 'play') {
+      return this.hap.Characteristic.CurrentMediaState.PLAY;
+    }
+    if (playState === 'pause') {
+      return this.hap.Characteristic.CurrentMediaState.PAUSE;
+    }
+
+    // Stopped, or play state isn't known (ie: no HEOS). HomeKit doesn't accept an unknown media state, so we report as stopped
+    return this.hap.Characteristic.CurrentMediaState.STOP;
+  }
+
+  #makeCharacteristic(name, uuid, props) {
+    // Define a custom characteristic, which can be read, written and notifies of changes
+    const hap = this.hap;
+    return class extends hap.Characteristic {
+      static UUID = uuid;
+
+      constructor() {
+        super(name, uuid, { ...props, perms: [hap.Perms.PAIRED_READ, hap.Perms.PAIRED_WRITE, hap.Perms.NOTIFY] });
+        this.value = this.getDefaultValue();
+      }
+    };
+  }
+
+  #buildAudioLevels(zone, speakerService, audioLevels) {
+    // Add characteristics to a zones speaker service for the audio levels the receiver reports. We don't remove these if no longer
+    // reported, as the receiver only reports them once it's connected
+    Object.entries(typeof audioLevels === 'object' ? audioLevels : {}).forEach(([level, value]) => {
+      let characteristic = this.#audioLevelCharacteristics?.[level];
+      if (characteristic === undefined || typeof value !== 'number') {
+        return;
+      }
+
+      if (speakerService.testCharacteristic(characteristic) === false) {
+        speakerService.addCharacteristic(characteristic);
+      }
+      speakerService.getCharacteristic(characteristic).onSet((value) => {
+        this.setZoneAudioLevel(zone, level, value);
+      });
+      speakerService.getCharacteristic(characteristic).onGet(() => {
+        return this.deviceData.zones?.[zone - 1]?.audioLevels?.[level] ?? AUDIOLEVELS[level].minValue;
+      });
+      speakerService.updateCharacteristic(characteristic, value);
+    });
+  }
+
+  #addZoneHistory(zone, zoneData) {
+    // Record a zones power, volume and input to history, so we have a timeline of when and how the zone was used
+    let televisionService = this.#amplifierServices?.[zone]?.television;
+    if (typeof televisionService !== 'object' || typeof zoneData !== 'object') {
+      return;
+    }
+
+    this.historyService?.addHistory(televisionService, {
+      time: Math.floor(Date.now() / 1000),
+      status: zoneData.power === true ? 1 : 0,
+      volume: zoneData.volume,
+      input: zoneData.input.startsWith('TUNER') === true && zoneData.source !== '' ? zoneData.source : zoneData.input,
+    });
+  }
+
+  #updatePower(deviceData) {
+    if (typeof this.#powerService !== 'object' || typeof deviceData?.power !== 'object') {
+      return;
+    }
+
+    let on = deviceData.zones.some((zone) => zone.power === true);
+    this.#powerService.updateCharacteristic(this.hap.Characteristic.On, on);
+    this.#powerService.updateCharacteristic(this.hap.Characteristic.OutletInUse, deviceData.power.state !== 'standby');
+
+    this.historyService?.addHistory(this.#powerService, {
+      time: Math.floor(Date.now() / 1000),
+      status: on === true ? 1 : 0,
+      volts: deviceData.power.volts,
+      watts: deviceData.power.watts,
+      amps: deviceData.power.volts > 0 ? deviceData.power.watts / deviceData.power.volts : 0,
+    });
+  }
+
+  #remainingSleep(zone) {
+    // Seconds remaining on a zones sleep timer
+    return zone?.sleepEnds > Date.now() ? Math.min(Math.round((zone.sleepEnds - Date.now()) / 1000), MAXSLEEPTIMER * 60) : 0;
+  }
+
+  #setInputName(inputService, value) {
     // Allow input name change in HomeKit
     // Changes are reflected on device if configured to allow
-    if (value != '' && typeof inputService == 'object') {
-      inputService.updateCharacteristic(HAP.Characteristic.ConfiguredName, value);
-      let index = this.deviceData.inputs.findIndex(
-        ({ uri }) => this.#crc32(uri) == inputService.getCharacteristic(HAP.Characteristic.Identifier).value,
-      );
-      if (index != -1) {
-        // Check if the input is flagged to allow name change on the device
-        if (this.deviceData.inputs[index].canrename == true) {
-          if (this.deviceData.inputs[index].uri.startsWith('PRESET') == true) {
-            this.set({
-              command:
-                'OPTPN' +
-                this.deviceData.inputs[index].uri.substring(6, 8) +
-                value.substring(0, 8).padEnd(9, ' ') +
-                this.deviceData.inputs[index].title.split(' ')[1],
-            });
-          } else {
-            this.set({ command: 'SSFUN' + this.deviceData.inputs[index].uri + ' ' + value });
-          }
-        }
-        this.cachedOptions.inputs = structuredClone(this.deviceData.inputs); // Deep copy
-        this.cachedOptions.inputs[index].label = value;
+    if (typeof value !== 'string' || value === '' || typeof inputService !== 'object') {
+      return;
+    }
+
+    inputService.updateCharacteristic(this.hap.Characteristic.ConfiguredName, value);
+    let index = this.deviceData.inputs.findIndex(
+      ({ uri }) => this.#crc32(uri) === inputService.getCharacteristic(this.hap.Characteristic.Identifier).value,
+    );
+    if (index === -1) {
+      return;
+    }
+
+    // Check if the input is flagged to allow name change on the device
+    if (this.deviceData.inputs[index].canrename === true) {
+      if (this.deviceData.inputs[index].uri.startsWith('PRESET') === true) {
+        this.set({
+          command:
+            'OPTPN' +
+            this.deviceData.inputs[index].uri.substring(6, 8) +
+            value.substring(0, 8).padEnd(9, ' ') +
+            this.deviceData.inputs[index].title.split(' ')[1],
+        });
+      } else {
+        this.set({ command: 'SSFUN' + this.deviceData.inputs[index].uri + ' ' + value });
       }
     }
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.inputs = structuredClone(this.deviceData.inputs); // Deep copy
+    this.#cachedOptions.inputs[index].label = value;
   }
 
-  #setInputVisability(inputService, value, callback) {
+  #setInputVisability(inputService, value) {
     // Allow enabling/disabling input within Homekit
     // Changes are reflected on device if configured to allow
     if (
-      (value == HAP.Characteristic.CurrentVisibilityState.HIDDEN || value == HAP.Characteristic.CurrentVisibilityState.SHOWN) &&
-      typeof inputService == 'object'
+      (value !== this.hap.Characteristic.CurrentVisibilityState.HIDDEN && value !== this.hap.Characteristic.CurrentVisibilityState.SHOWN) ||
+      typeof inputService !== 'object'
     ) {
-      inputService.updateCharacteristic(HAP.Characteristic.CurrentVisibilityState, value);
-      inputService.updateCharacteristic(HAP.Characteristic.TargetVisibilityState, value);
-      let index = this.deviceData.inputs.findIndex(
-        ({ uri }) => this.#crc32(uri) == inputService.getCharacteristic(HAP.Characteristic.Identifier).value,
+      return;
+    }
+
+    inputService.updateCharacteristic(this.hap.Characteristic.CurrentVisibilityState, value);
+    inputService.updateCharacteristic(this.hap.Characteristic.TargetVisibilityState, value);
+    let index = this.deviceData.inputs.findIndex(
+      ({ uri }) => this.#crc32(uri) === inputService.getCharacteristic(this.hap.Characteristic.Identifier).value,
+    );
+    if (index === -1) {
+      return;
+    }
+
+    // Check if the input is flagged to allow visablity change state on the device
+    if (this.deviceData.inputs[index].canhide === true) {
+      // Input is flagged to allow visablity change state on the device, so update there.
+      if (this.deviceData.inputs[index].uri.startsWith('PRESET') === true) {
+        this.set({
+          command:
+            'OPTPSTUNER' +
+            this.deviceData.inputs[index].uri.substring(6, 8) +
+            ' ' +
+            (value === this.hap.Characteristic.CurrentVisibilityState.SHOWN ? 'OFF' : 'ON'),
+        });
+      } else {
+        this.set({
+          command:
+            'SSSOD' +
+            this.deviceData.inputs[index].uri +
+            ' ' +
+            (value === this.hap.Characteristic.CurrentVisibilityState.SHOWN ? 'USE' : 'DEL'),
+        });
+      }
+    }
+    // eslint-disable-next-line no-undef
+    this.#cachedOptions.inputs = structuredClone(this.deviceData.inputs); // Deep copy
+    this.#cachedOptions.inputs[index].hidden = value === this.hap.Characteristic.CurrentVisibilityState.HIDDEN;
+  }
+
+  #buildSettings(receiverSettings) {
+    // Make the audio processing and energy setting services on the accessory match the settings the receiver supports
+    // Settings which are on or off use a Switch service, while settings with multiple levels use a Fanv2 service, with each
+    // level being a step of its rotation speed. These are for the main zone only
+    let settings = Array.isArray(receiverSettings) === true && this.deviceData.zones?.[0]?.enabled === true ? receiverSettings : [];
+    const serviceType = (setting) => (setting.options.length > 2 ? this.hap.Service.Fanv2 : this.hap.Service.Switch);
+
+    this.accessory.services
+      .filter(
+        (service) =>
+          typeof service.subtype === 'string' &&
+          service.subtype.startsWith('SETTING') === true &&
+          settings.some((setting) => 'SETTING' + setting.id === service.subtype && serviceType(setting).UUID === service.UUID) === false,
+      )
+      .forEach((service) => {
+        this.accessory.removeService(service);
+      });
+
+    this.#settingServices = {};
+    settings.forEach((setting) => {
+      let tempService = this.accessory.getServiceById(serviceType(setting), 'SETTING' + setting.id);
+      if (tempService === undefined) {
+        tempService = this.accessory.addService(serviceType(setting), setting.name, 'SETTING' + setting.id);
+      }
+
+      if (setting.options.length > 2) {
+        let step = 100 / (setting.options.length - 1);
+        tempService.getCharacteristic(this.hap.Characteristic.RotationSpeed).setProps({ minStep: step });
+        tempService.getCharacteristic(this.hap.Characteristic.Active).onSet((value) => {
+          // When turned on, use the level from the rotation speed, or the first level if none
+          let level = Math.max(Math.round(tempService.getCharacteristic(this.hap.Characteristic.RotationSpeed).value / step), 1);
+          this.setSetting(setting.id, value === this.hap.Characteristic.Active.ACTIVE ? setting.options[level] : setting.options[0]);
+        });
+        tempService.getCharacteristic(this.hap.Characteristic.RotationSpeed).onSet((value) => {
+          this.setSetting(setting.id, setting.options[Math.min(Math.round(value / step), setting.options.length - 1)]);
+        });
+      }
+      if (setting.options.length === 2) {
+        tempService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+          this.setSetting(setting.id, setting.options[value === true ? 1 : 0]);
+        });
+      }
+
+      this.#updateSetting(tempService, setting);
+      this.#settingServices[setting.id] = tempService;
+    });
+  }
+
+  #updateSetting(service, setting) {
+    // Reflect a settings current option on its service
+    if (typeof service !== 'object' || typeof setting !== 'object') {
+      return;
+    }
+
+    let index = setting.options.indexOf(setting.value);
+    if (setting.options.length > 2) {
+      service.updateCharacteristic(
+        this.hap.Characteristic.Active,
+        index > 0 ? this.hap.Characteristic.Active.ACTIVE : this.hap.Characteristic.Active.INACTIVE,
       );
-      if (typeof this.deviceData.inputs[index] == 'object') {
-        // Check if the input is flagged to allow visablity change state on the device
-        if (this.deviceData.inputs[index].canhide == true) {
-          // Input is flagged to allow visablity change state on the device, so update there.
-          if (this.deviceData.inputs[index].uri.startsWith('PRESET') == true) {
-            this.set({
-              command:
-                'OPTPSTUNER' +
-                this.deviceData.inputs[index].uri.substring(6, 8) +
-                ' ' +
-                (value == HAP.Characteristic.CurrentVisibilityState.SHOWN ? 'OFF' : 'ON'),
-            });
-          } else {
-            this.set({
-              command:
-                'SSSOD' +
-                this.deviceData.inputs[index].uri +
-                ' ' +
-                (value == HAP.Characteristic.CurrentVisibilityState.SHOWN ? 'USE' : 'DEL'),
-            });
-          }
+      if (index > 0) {
+        // Leave the rotation speed at the last level when off, so it's used when turned back on
+        service.updateCharacteristic(this.hap.Characteristic.RotationSpeed, (index * 100) / (setting.options.length - 1));
+      }
+    }
+    if (setting.options.length === 2) {
+      service.updateCharacteristic(this.hap.Characteristic.On, index > 0);
+    }
+  }
+
+  #buildQuickSelects(zones) {
+    // Make the Quick Select/Smart Select Switch services on the accessory match the slots for each zone we expose
+    // Services use a subtype of 'QUICK' followed by the zone and slot numbers, ie: QUICK23 for Zone2 slot 3
+    let subtypes = [];
+    (Array.isArray(zones) === true ? zones : []).forEach((zone, index) => {
+      if (zone.enabled === true) {
+        for (let slot = 1; slot <= (zone.quickSelect?.slots ?? 0); slot++) {
+          subtypes.push('QUICK' + (index + 1) + slot);
         }
-        this.cachedOptions.inputs = structuredClone(this.deviceData.inputs); // Deep copy
-        this.cachedOptions.inputs[index].hidden = value == HAP.Characteristic.CurrentVisibilityState.HIDDEN ? true : false;
       }
+    });
+
+    this.accessory.services
+      .filter(
+        (service) =>
+          service.UUID === this.hap.Service.Switch.UUID &&
+          typeof service.subtype === 'string' &&
+          service.subtype.startsWith('QUICK') === true &&
+          subtypes.includes(service.subtype) === false,
+      )
+      .forEach((service) => {
+        this.accessory.removeService(service);
+      });
+
+    this.#quickSelectServices = {};
+    subtypes.forEach((subtype) => {
+      let zoneNumber = Number(subtype.substring(5, 6));
+      let slot = Number(subtype.substring(6));
+      let zone = zones[zoneNumber - 1];
+      let name = (zone.quickSelect.type === 'SMART' ? 'Smart Select ' : 'Quick Select ') + slot;
+      if (zoneNumber !== 1) {
+        name = HomeKitDevice.validateHomeKitName(zone.name + ' ' + name);
+      }
+
+      let tempService = this.accessory.getServiceById(this.hap.Service.Switch, subtype);
+      if (tempService === undefined) {
+        tempService = this.accessory.addService(this.hap.Service.Switch, name, subtype);
+      }
+      tempService.updateCharacteristic(this.hap.Characteristic.Name, name);
+      tempService.updateCharacteristic(this.hap.Characteristic.On, zone.quickSelect.active === slot);
+      tempService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+        this.setZoneQuickSelect(zoneNumber, slot, value);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+        return this.deviceData.zones?.[zoneNumber - 1]?.quickSelect?.active === slot;
+      });
+
+      if (typeof this.#quickSelectServices[zoneNumber] !== 'object') {
+        this.#quickSelectServices[zoneNumber] = {};
+      }
+      this.#quickSelectServices[zoneNumber][slot] = tempService;
+    });
+  }
+
+  #buildSoundModes(soundModes) {
+    // Make the sound mode Switch services on the accessory match the receivers sound modes. Sound mode is for the main zone only,
+    // so we only have these switches when the main zone is exposed on this accessory
+    let ids = Array.isArray(soundModes) === true && this.deviceData.zones?.[0]?.enabled === true ? soundModes.map(({ id }) => id) : [];
+
+    this.accessory.services
+      .filter(
+        (service) =>
+          service.UUID === this.hap.Service.Switch.UUID &&
+          typeof service.subtype === 'string' &&
+          service.subtype.startsWith('SOUNDMODE') === true &&
+          ids.includes(service.subtype.substring(9)) === false,
+      )
+      .forEach((service) => {
+        this.accessory.removeService(service);
+      });
+
+    this.#soundModeServices = {};
+    ids.forEach((id) => {
+      let mode = soundModes.find((soundMode) => soundMode.id === id);
+      let tempService = this.accessory.getServiceById(this.hap.Service.Switch, 'SOUNDMODE' + id);
+      if (tempService === undefined) {
+        tempService = this.accessory.addService(this.hap.Service.Switch, mode.name, 'SOUNDMODE' + id);
+      }
+      tempService.updateCharacteristic(this.hap.Characteristic.On, this.deviceData.soundMode === id);
+      tempService.getCharacteristic(this.hap.Characteristic.On).onSet((value) => {
+        this.setSoundMode(id, value);
+      });
+      tempService.getCharacteristic(this.hap.Characteristic.On).onGet(() => {
+        return this.deviceData.soundMode === id;
+      });
+
+      this.#soundModeServices[id] = tempService;
+    });
+  }
+
+  #zoneIdentifier(zoneData) {
+    // Identifier of the input active on a zone. When a tuner preset is active, this is the presets identifier, and when the zone
+    // is following the main zone, the identifier for the main zone input
+    if (zoneData?.follow === true) {
+      return this.#crc32('SOURCE');
     }
+    if (typeof zoneData?.input !== 'string' || zoneData.input === '') {
+      return 0;
+    }
+
+    return this.#crc32(zoneData.input.startsWith('TUNER') === true && zoneData.source !== '' ? zoneData.source : zoneData.input);
   }
 
-  #buildInputs(includePresets) {
-    this.deviceData.inputs.forEach((input) => {
-      if ((includePresets == false && input.uri.startsWith('PRESET') == false) || includePresets == true) {
-        let type = HAP.Characteristic.InputSourceType.HDMI;
-        if (input.type == InputTypes.PRESET) type = HAP.Characteristic.InputSourceType.TUNER;
-        if (input.type == InputTypes.TUNER) type = HAP.Characteristic.InputSourceType.TUNER;
-        if (input.type == InputTypes.IPODUSB) type = HAP.Characteristic.InputSourceType.USB;
-        if (input.type == InputTypes.NETWORK || input.type == InputTypes.BLUETOOTH) type = HAP.Characteristic.InputSourceType.AIRPLAY;
-        if (input.type == InputTypes.SPOTIFY) type = HAP.Characteristic.InputSourceType.APPLICATION;
+  #buildInputs(inputs, zones) {
+    // Make the InputSource services on the accessory match the receivers inputs. Services are matched to inputs by their Identifier,
+    // which is a crc32 value of the inputs uri, so existing services are reused and services for inputs no longer present are removed
+    // Each zones "television" service is only linked to the inputs that zone can play
+    if (Array.isArray(inputs) === false) {
+      return;
+    }
 
-        // Add this input to the "master" accessory and set properties
-        // Find the last subtype for InputSource and add 1 to it for this one
-        let serviceSubtype = 1;
-        this.HomeKitAccessory.services.forEach((service) => {
-          if (service.UUID == HAP.Service.InputSource.UUID && service.subtype >= serviceSubtype) {
-            serviceSubtype = service.subtype + 1;
-          }
+    let identifiers = inputs.map((input) => this.#crc32(input.uri));
+    let televisionServices = this.accessory.services.filter((service) => service.UUID === this.hap.Service.Television.UUID);
+
+    this.accessory.services
+      .filter(
+        (service) =>
+          service.UUID === this.hap.Service.InputSource.UUID &&
+          identifiers.includes(service.getCharacteristic(this.hap.Characteristic.Identifier).value) === false,
+      )
+      .forEach((service) => {
+        televisionServices.forEach((televisionService) => {
+          televisionService.removeLinkedService(service);
         });
+        this.accessory.removeService(service);
+      });
 
-        // Fix up input label to conform to HomKit namings
-        input.label = HomeKitDevice.validateHomeKitName(input.label.replace('/', ' - '));
+    this.#inputServices = [];
+    inputs.forEach((input) => {
+      let identifier = this.#crc32(input.uri);
+      let type =
+        this.#inputSourceTypes?.[input.type] !== undefined
+          ? this.#inputSourceTypes[input.type]
+          : this.hap.Characteristic.InputSourceType.HDMI;
 
-        let tempInput = this.HomeKitAccessory.addService(HAP.Service.InputSource, input.label, serviceSubtype);
-        tempInput.updateCharacteristic(HAP.Characteristic.ConfiguredName, input.label);
-        tempInput.updateCharacteristic(HAP.Characteristic.InputSourceType, type);
-        tempInput.updateCharacteristic(HAP.Characteristic.IsConfigured, HAP.Characteristic.IsConfigured.CONFIGURED);
-        tempInput.updateCharacteristic(
-          HAP.Characteristic.CurrentVisibilityState,
-          input.hidden == true ? HAP.Characteristic.CurrentVisibilityState.HIDDEN : HAP.Characteristic.CurrentVisibilityState.SHOWN,
-        );
-        tempInput.updateCharacteristic(
-          HAP.Characteristic.TargetVisibilityState,
-          input.hidden == true ? HAP.Characteristic.CurrentVisibilityState.HIDDEN : HAP.Characteristic.CurrentVisibilityState.SHOWN,
-        );
-        tempInput.updateCharacteristic(HAP.Characteristic.Identifier, this.#crc32(input.uri)); // Create a uuid for this input with a crc32 value of the inputs uri
+      // Fix up input label to conform to HomKit namings
+      input.label = HomeKitDevice.validateHomeKitName(input.label.replace('/', ' - '));
+
+      let tempInput = this.accessory.services.find(
+        (service) =>
+          service.UUID === this.hap.Service.InputSource.UUID &&
+          service.getCharacteristic(this.hap.Characteristic.Identifier).value === identifier,
+      );
+      if (tempInput === undefined) {
+        // Use the inputs identifier as the service subtype, so it stays the same for the input between restarts
+        tempInput = this.accessory.addService(this.hap.Service.InputSource, input.label, String(identifier));
+      }
+      tempInput.updateCharacteristic(this.hap.Characteristic.ConfiguredName, input.label);
+      tempInput.updateCharacteristic(this.hap.Characteristic.InputSourceType, type);
+      tempInput.updateCharacteristic(this.hap.Characteristic.IsConfigured, this.hap.Characteristic.IsConfigured.CONFIGURED);
+      tempInput.updateCharacteristic(
+        this.hap.Characteristic.CurrentVisibilityState,
+        input.hidden === true
+          ? this.hap.Characteristic.CurrentVisibilityState.HIDDEN
+          : this.hap.Characteristic.CurrentVisibilityState.SHOWN,
+      );
+      tempInput.updateCharacteristic(
+        this.hap.Characteristic.TargetVisibilityState,
+        input.hidden === true ? this.hap.Characteristic.TargetVisibilityState.HIDDEN : this.hap.Characteristic.TargetVisibilityState.SHOWN,
+      );
+      tempInput.updateCharacteristic(this.hap.Characteristic.Identifier, identifier);
 
-        // Setup callbacks for characteristics
-        if (input.canhide == true) {
-          tempInput.getCharacteristic(HAP.Characteristic.TargetVisibilityState).on(HAP.CharacteristicEventTypes.SET, (value, callback) => {
-            this.#setInputVisability(tempInput, value, callback);
-          });
+      // Setup callbacks for characteristics. These replace any callbacks from a previous build of this service
+      tempInput.getCharacteristic(this.hap.Characteristic.TargetVisibilityState).onSet((value) => {
+        if (input.canhide === true) {
+          this.#setInputVisability(tempInput, value);
         }
-        if (input.canrename == true) {
-          tempInput.getCharacteristic(HAP.Characteristic.ConfiguredName).on(HAP.CharacteristicEventTypes.SET, (value, callback) => {
-            this.#setInputName(tempInput, value, callback);
-          });
+      });
+      tempInput.getCharacteristic(this.hap.Characteristic.ConfiguredName).onSet((value) => {
+        if (input.canrename === true) {
+          this.#setInputName(tempInput, value);
         }
+      });
 
-        tempInput.getCharacteristic(HAP.Characteristic.TargetVisibilityState).on(HAP.CharacteristicEventTypes.GET, (callback) => {
-          callback(null, input.hidden);
-        });
-        tempInput.getCharacteristic(HAP.Characteristic.ConfiguredName).on(HAP.CharacteristicEventTypes.GET, (callback) => {
-          callback(null, input.label);
-        });
+      televisionServices.forEach((televisionService) => {
+        let zoneInputs = zones?.[Number(televisionService.subtype) - 1]?.inputs;
+        let playable = Array.isArray(zoneInputs) === false || zoneInputs.includes(input.uri) === true;
+        if (playable === true && televisionService.linkedServices.includes(tempInput) === false) {
+          televisionService.addLinkedService(tempInput);
+        }
+        if (playable === false && televisionService.linkedServices.includes(tempInput) === true) {
+          televisionService.removeLinkedService(tempInput);
+        }
+      });
 
-        this.AMPInputs.push(tempInput);
-      }
+      this.#inputServices.push(tempInput);
+    });
+
+    // Set the order the inputs are shown in the Home app, which is the order of the receivers inputs
+    televisionServices.forEach((televisionService) => {
+      let zoneInputs = zones?.[Number(televisionService.subtype) - 1]?.inputs;
+      televisionService.updateCharacteristic(
+        this.hap.Characteristic.DisplayOrder,
+        this.#displayOrder(
+          inputs
+            .filter((input) => Array.isArray(zoneInputs) === false || zoneInputs.includes(input.uri) === true)
+            .map(({ uri }) => this.#crc32(uri)),
+        ),
+      );
+    });
+  }
+
+  #displayOrder(identifiers) {
+    // Encode input identifiers as TLV8 for the DisplayOrder characteristic. Each identifier is a 4 byte little endian value
+    // with a type of 0x01, and entries are separated by an empty 0x00 item
+    let displayOrder = identifiers.map((identifier, index) => {
+      let entry = Buffer.alloc(index !== 0 ? 8 : 6);
+      let offset = index !== 0 ? 2 : 0;
+      entry.writeUInt8(0x01, offset);
+      entry.writeUInt8(0x04, offset + 1);
+      entry.writeUInt32LE(identifier >>> 0, offset + 2);
+      return entry;
     });
+    return Buffer.concat(displayOrder).toString('base64');
   }
 
   #crc32(valueToHash) {
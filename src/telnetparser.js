@@ -0,0 +1,285 @@
+// Line buffered parser for Denon/Marantz Telnet API responses
+// Part of homebridge-denon-accfactory
+//
+// Turns the raw TCP stream from a receiver into typed events, ie: { zone: 2, kind: 'volume', value: 45.5 }
+// Support for new responses is added via entries in the command table rather than extra code paths
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { Buffer } from 'node:buffer';
+
+const MAXLINELENGTH = 512; // Guard against a runaway buffer if we never see a line terminator
+
+// Sources Zone2 and Zone3 report. These zones use the same prefix for all their responses, ie: Z2HPFON for the high pass filter,
+// so we only treat a response as a source when it's one we know, rather than anything which isn't another response
+const ZONESOURCES = (
+  'PHONO CD TUNER DVD BD TV SAT/CBL CBL/SAT SAT MPLAY GAME GAME1 GAME2 HDRADIO NET PANDORA SIRIUSXM SPOTIFY LASTFM FLICKR IRADIO SERVER ' +
+  'FAVORITES AUX AUX1 AUX2 AUX3 AUX4 AUX5 AUX6 AUX7 BT USB/IPOD USB IPD IRP FVP 8K SOURCE VCR DOCK V.AUX HEOS'
+).split(' ');
+const ZONESOURCEPATTERN = new RegExp('^(' + ZONESOURCES.map((source) => source.replace(/[./]/g, '\\$&')).join('|') + ')$');
+
+export default class TelnetParser {
+  static Kind = {
+    FIRMWARE: 'firmware',
+    SERIALNUMBER: 'serialnumber',
+    FRIENDLYNAME: 'friendlyname',
+    SYSTEMPOWER: 'systempower',
+    POWER: 'power',
+    MUTE: 'mute',
+    VOLUME: 'volume',
+    MAXVOLUME: 'maxvolume',
+    VOLUMEDISPLAY: 'volumedisplay',
+    ZONENAME: 'zonename',
+    SOURCE: 'source',
+    SOUNDMODE: 'soundmode',
+    QUICKSELECT: 'quickselect',
+    SLEEPTIMER: 'sleeptimer',
+    SETTING: 'setting',
+    AUDIOLEVEL: 'audiolevel',
+    TUNERBAND: 'tunerband',
+    TUNERMODE: 'tunermode',
+    TUNERNAME: 'tunername',
+    TUNERFREQUENCY: 'tunerfrequency',
+    TUNERPRESET: 'tunerpreset',
+    TUNERTEXT: 'tunertext',
+    ONSCREEN: 'onscreen',
+    PRESETDETAILS: 'presetdetails',
+    PRESETSKIP: 'presetskip',
+    SOURCERENAME: 'sourcerename',
+    SOURCEDELETE: 'sourcedelete',
+    UNKNOWN: 'unknown', // Response we don't understand, but still need to see ie: as the echo of a command we sent
+  };
+
+  // Declarative table of responses we understand. Entries are tested in order, with the first match winning
+  // prefix  - text the response line starts with
+  // zone    - zone the response applies to (undefined for device wide responses)
+  // kind    - type of event generated
+  // pattern - regular expression the remainder of the line (after the prefix) must match
+  // value   - function to convert the regular expression match into the event value
+  static Commands = [
+    // Device information
+    { prefix: 'SSINFFRMAVR', kind: 'firmware', pattern: /^\s*(.+)$/, value: (match) => match[1].trim() },
+    { prefix: 'VIALLS/N.', kind: 'serialnumber', pattern: /^\s*(.+)$/, value: (match) => match[1].trim() },
+    { prefix: 'NSFRN', kind: 'friendlyname', pattern: /^\s*(.+)$/, value: (match) => match[1].trim() },
+    { prefix: 'SSVCTZMADIS', kind: 'volumedisplay', pattern: /^\s*(ABS|REL)$/, value: (match) => match[1] },
+
+    { prefix: 'PW', kind: 'systempower', pattern: /^(ON|STANDBY)$/, value: (match) => match[1] === 'ON' },
+
+    // Main zone
+    { prefix: 'ZM', zone: 1, kind: 'power', pattern: /^(ON|OFF)$/, value: (match) => match[1] === 'ON' },
+    { prefix: 'MU', zone: 1, kind: 'mute', pattern: /^(ON|OFF)$/, value: (match) => match[1] === 'ON' },
+    { prefix: 'MV', zone: 1, kind: 'maxvolume', pattern: /^MAX\s*(\d{2,3})$/, value: (match) => parseDenonVolume(match[1]) },
+    { prefix: 'MV', zone: 1, kind: 'volume', pattern: /^(\d{2,3})$/, value: (match) => parseDenonVolume(match[1]) },
+    { prefix: 'SI', zone: 1, kind: 'source', pattern: /^(.+)$/, value: (match) => match[1].trim() },
+    {
+      prefix: 'MS',
+      zone: 1,
+      kind: 'quickselect',
+      pattern: /^(QUICK|SMART)\s?(\d)(\s*MEMORY)?$/,
+      value: (match) => parseQuickSelect(match),
+    },
+    { prefix: 'MS', zone: 1, kind: 'soundmode', pattern: /^(?!QUICK|SMART)(.+)$/, value: (match) => match[1].trim() },
+    { prefix: 'SLP', zone: 1, kind: 'sleeptimer', pattern: /^(OFF|\d{3})$/, value: (match) => parseSleepTimer(match[1]) },
+    { prefix: 'R1', zone: 1, kind: 'zonename', pattern: /^(.*)$/, value: (match) => match[1].trim() },
+
+    // Zone 2
+    { prefix: 'Z2SLP', zone: 2, kind: 'sleeptimer', pattern: /^(OFF|\d{3})$/, value: (match) => parseSleepTimer(match[1]) },
+    {
+      prefix: 'Z2',
+      zone: 2,
+      kind: 'quickselect',
+      pattern: /^(QUICK|SMART)\s?(\d)(\s*MEMORY)?$/,
+      value: (match) => parseQuickSelect(match),
+    },
+    { prefix: 'Z2', zone: 2, kind: 'power', pattern: /^(ON|OFF)$/, value: (match) => match[1] === 'ON' },
+    { prefix: 'Z2', zone: 2, kind: 'mute', pattern: /^MU(ON|OFF)$/, value: (match) => match[1] === 'ON' },
+    { prefix: 'Z2', zone: 2, kind: 'volume', pattern: /^(\d{2,3})$/, value: (match) => parseDenonVolume(match[1]) },
+    { prefix: 'Z2', zone: 2, kind: 'source', pattern: ZONESOURCEPATTERN, value: (match) => match[1] },
+    { prefix: 'R2', zone: 2, kind: 'zonename', pattern: /^(.*)$/, value: (match) => match[1].trim() },
+
+    // Zone 3
+    { prefix: 'Z3SLP', zone: 3, kind: 'sleeptimer', pattern: /^(OFF|\d{3})$/, value: (match) => parseSleepTimer(match[1]) },
+    {
+      prefix: 'Z3',
+      zone: 3,
+      kind: 'quickselect',
+      pattern: /^(QUICK|SMART)\s?(\d)(\s*MEMORY)?$/,
+      value: (match) => parseQuickSelect(match),
+    },
+    { prefix: 'Z3', zone: 3, kind: 'power', pattern: /^(ON|OFF)$/, value: (match) => match[1] === 'ON' },
+    { prefix: 'Z3', zone: 3, kind: 'mute', pattern: /^MU(ON|OFF)$/, value: (match) => match[1] === 'ON' },
+    { prefix: 'Z3', zone: 3, kind: 'volume', pattern: /^(\d{2,3})$/, value: (match) => parseDenonVolume(match[1]) },
+    { prefix: 'Z3', zone: 3, kind: 'source', pattern: ZONESOURCEPATTERN, value: (match) => match[1] },
+    { prefix: 'R3', zone: 3, kind: 'zonename', pattern: /^(.*)$/, value: (match) => match[1].trim() },
+
+    // Audio processing and energy settings. These are for the main zone only
+    {
+      prefix: 'PSMULTEQ:',
+      kind: 'setting',
+      pattern: /^\s*(\S.*)$/,
+      value: (match) => ({ setting: 'MULTEQ', value: match[1].trim() }),
+    },
+    { prefix: 'PSDYNEQ', kind: 'setting', pattern: /^\s*(ON|OFF)$/, value: (match) => ({ setting: 'DYNEQ', value: match[1] }) },
+    { prefix: 'PSDYNVOL', kind: 'setting', pattern: /^\s*([A-Z]{3})$/, value: (match) => ({ setting: 'DYNVOL', value: match[1] }) },
+    { prefix: 'PSDIL', kind: 'setting', pattern: /^\s*(ON|OFF)$/, value: (match) => ({ setting: 'DIALOGUELEVEL', value: match[1] }) },
+    {
+      prefix: 'PSDEH',
+      kind: 'setting',
+      pattern: /^\s*(OFF|LOW|MED|HIGH)$/,
+      value: (match) => ({ setting: 'DIALOGUEENHANCER', value: match[1] }),
+    },
+    { prefix: 'PSCINEMA EQ.', kind: 'setting', pattern: /^(ON|OFF)$/, value: (match) => ({ setting: 'CINEMAEQ', value: match[1] }) },
+    {
+      prefix: 'PSTONE CTRL',
+      kind: 'setting',
+      pattern: /^\s*(ON|OFF)$/,
+      value: (match) => ({ setting: 'TONECONTROL', value: match[1] }),
+    },
+    { prefix: 'PSRSTR', kind: 'setting', pattern: /^\s*([A-Z0-9]+)$/, value: (match) => ({ setting: 'RESTORER', value: match[1] }) },
+    { prefix: 'ECO', kind: 'setting', pattern: /^(OFF|AUTO|ON)$/, value: (match) => ({ setting: 'ECO', value: match[1] }) },
+    { prefix: 'STBY', kind: 'setting', pattern: /^(OFF|15M|30M|60M)$/, value: (match) => ({ setting: 'STANDBY', value: match[1] }) },
+
+    // Audio levels. Tone levels are 44 to 56 for -6dB to +6dB, and channel levels 38 to 62 for -12dB to +12dB in half steps
+    { prefix: 'PSBAS', zone: 1, kind: 'audiolevel', pattern: /^\s*(\d{2})$/, value: (match) => parseAudioLevel('BASS', match[1]) },
+    { prefix: 'PSTRE', zone: 1, kind: 'audiolevel', pattern: /^\s*(\d{2})$/, value: (match) => parseAudioLevel('TREBLE', match[1]) },
+    { prefix: 'Z2PSBAS', zone: 2, kind: 'audiolevel', pattern: /^\s*(\d{2})$/, value: (match) => parseAudioLevel('BASS', match[1]) },
+    { prefix: 'Z2PSTRE', zone: 2, kind: 'audiolevel', pattern: /^\s*(\d{2})$/, value: (match) => parseAudioLevel('TREBLE', match[1]) },
+    { prefix: 'Z3PSBAS', zone: 3, kind: 'audiolevel', pattern: /^\s*(\d{2})$/, value: (match) => parseAudioLevel('BASS', match[1]) },
+    { prefix: 'Z3PSTRE', zone: 3, kind: 'audiolevel', pattern: /^\s*(\d{2})$/, value: (match) => parseAudioLevel('TREBLE', match[1]) },
+    { prefix: 'PSSWL', zone: 1, kind: 'audiolevel', pattern: /^\s*(\d{2,3})$/, value: (match) => parseAudioLevel('SUBWOOFER', match[1]) },
+    { prefix: 'CVC', zone: 1, kind: 'audiolevel', pattern: /^\s*(\d{2,3})$/, value: (match) => parseAudioLevel('CENTRE', match[1]) },
+    {
+      prefix: 'PSDELAY',
+      zone: 1,
+      kind: 'audiolevel',
+      pattern: /^\s*(\d{3})$/,
+      value: (match) => ({ level: 'LIPSYNC', value: Number(match[1]) }),
+    },
+
+    // Tuner
+    { prefix: 'TMAN', kind: 'tunerband', pattern: /^(AM|FM|DAB)$/, value: (match) => match[1] },
+    { prefix: 'TMAN', kind: 'tunermode', pattern: /^(AUTO|MANUAL)$/, value: (match) => match[1] },
+    { prefix: 'TFANNAME', kind: 'tunername', pattern: /^(.*)$/, value: (match) => match[1].trim() },
+    { prefix: 'TFAN', kind: 'tunerfrequency', pattern: /^(\d{6})$/, value: (match) => Number(match[1]) / 100 },
+    { prefix: 'TFANRT', kind: 'tunertext', pattern: /^(.*)$/, value: (match) => ({ field: 'radioText', text: match[1].trim() }) },
+    { prefix: 'TPAN', kind: 'tunerpreset', pattern: /^(\d{2}|OFF)$/, value: (match) => match[1] },
+
+    // DAB tuner, on European models
+    { prefix: 'DASTN', kind: 'tunertext', pattern: /^(.*)$/, value: (match) => ({ field: 'station', text: match[1].trim() }) },
+    { prefix: 'DAENL', kind: 'tunertext', pattern: /^(.*)$/, value: (match) => ({ field: 'ensemble', text: match[1].trim() }) },
+    { prefix: 'DADLS', kind: 'tunertext', pattern: /^(.*)$/, value: (match) => ({ field: 'radioText', text: match[1].trim() }) },
+
+    // Network source on screen display. Line 0 is the screen title ie: "Now Playing Spotify", then track, artist and album
+    // Lines can start with control characters for the cursor and whether the line is playable, which we remove
+    {
+      prefix: 'NSE',
+      kind: 'onscreen',
+      pattern: /^(\d)(.*)$/,
+      value: (match) => ({ line: Number(match[1]), text: match[2].replace(/[\x00-\x1f]/g, '').trim() }),
+    },
+
+    // Tuner presets
+    {
+      prefix: 'OPTPSTUNER',
+      kind: 'presetskip',
+      pattern: /^(\d{2})\s+(ON|OFF)$/,
+      value: (match) => ({ preset: match[1], skip: match[2] }),
+    },
+    { prefix: 'OPTPN', kind: 'presetdetails', pattern: /^(\d{2})(.*)$/, value: (match) => ({ preset: match[1], param: match[2] }) },
+
+    // Source renaming and hiding
+    {
+      prefix: 'SSFUN',
+      kind: 'sourcerename',
+      pattern: /^(?!END$)(\S+)\s(.*)$/,
+      value: (match) => ({ source: match[1].toUpperCase(), name: match[2].trim() }),
+    },
+    {
+      prefix: 'SSSOD',
+      kind: 'sourcedelete',
+      pattern: /^(?!END$)(\S+)\s+(USE|DEL)$/,
+      value: (match) => ({ source: match[1].toUpperCase(), used: match[2] === 'USE' }),
+    },
+  ];
+
+  #buffer = ''; // Any partial line we've received but not yet seen the terminator for
+
+  // Class functions
+  push(data) {
+    // Add received data to any partially received line, and process all completed lines
+    // Lines are terminated by a carriage return, with anything after the last terminator kept for the next chunk
+    let events = [];
+    let lines = (this.#buffer + (Buffer.isBuffer(data) === true ? data.toString() : String(data))).split('\r');
+    this.#buffer = lines.pop();
+    if (this.#buffer.length > MAXLINELENGTH) {
+      this.#buffer = '';
+    }
+
+    lines.forEach((line) => {
+      let event = TelnetParser.parseLine(line);
+      line = line.replace(/^\n+|\n+$/g, '');
+      if (event === undefined && line.trim() !== '') {
+        event = { zone: undefined, kind: TelnetParser.Kind.UNKNOWN, value: line, raw: line };
+      }
+      if (event !== undefined) {
+        events.push(event);
+      }
+    });
+
+    return events;
+  }
+
+  reset() {
+    this.#buffer = '';
+  }
+
+  static parseLine(line) {
+    if (typeof line !== 'string') {
+      return;
+    }
+
+    line = line.replace(/^\n+|\n+$/g, '');
+    if (line.trim() === '') {
+      return;
+    }
+
+    let event = undefined;
+    TelnetParser.Commands.some((command) => {
+      if (line.startsWith(command.prefix) === false) {
+        return false;
+      }
+      let match = line.substring(command.prefix.length).match(command.pattern);
+      if (match === null) {
+        return false;
+      }
+      event = { zone: command.zone, kind: command.kind, value: command.value(match), raw: line };
+      return true;
+    });
+
+    return event;
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function parseDenonVolume(value) {
+  // Denon volumes are two digits for whole steps, or three digits for half steps ie: 45 = 45, 455 = 45.5
+  return typeof value === 'string' && value.length === 3 ? Number(value) / 10 : Number(value);
+}
+
+function parseAudioLevel(level, value) {
+  // Tone and channel levels use the same format as volumes, with 50 being 0dB
+  return { level: level, value: parseDenonVolume(value) - 50 };
+}
+
+function parseSleepTimer(value) {
+  // Sleep timers are OFF, or the minutes remaining as three digits ie: 030 = 30 minutes. We use 0 for off
+  return value === 'OFF' ? 0 : Number(value);
+}
+
+function parseQuickSelect(match) {
+  // Quick Select (Denon) or Smart Select (Marantz) recalled or stored, ie: QUICK1 or QUICK1 MEMORY. Slot 0 is reported when none is active
+  return { type: match[1], slot: Number(match[2]), stored: match[3] !== undefined };
+}
@@ -0,0 +1,112 @@
+// Telnet multiplexer for a Denon/Marantz AV Receiver
+// Part of homebridge-denon-accfactory
+//
+// Receivers only accept a single Telnet client, so we listen on a local port and share our connection with other tools
+// Every response line from the receiver is sent to all connected clients, and commands from clients are passed back to us,
+// so they can be sent via the same outbound queue as our own commands
+// Clients aren't authenticated, so by default we only listen on the loopback address for tools running on the same host
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import EventEmitter from 'node:events';
+import net from 'node:net';
+
+const MAXLINELENGTH = 512; // Guard against a runaway buffer from a client never sending a line terminator
+const LISTENADDRESS = '127.0.0.1'; // Default address we listen on
+
+export default class TelnetProxy extends EventEmitter {
+  static COMMAND = 'command'; // Event emitted with (command, client) for each command received from a client
+  static CLIENTS = 'clients'; // Event emitted with the list of connected clients when a client connects or disconnects
+
+  // Internal data only for this class
+  #server = undefined;
+  #clients = new Map(); // Connected clients, key'd by socket
+  #port = undefined;
+  #host = undefined;
+
+  constructor(port, host) {
+    super();
+
+    this.#port = Number(port);
+    this.#host = typeof host === 'string' && host !== '' ? host : LISTENADDRESS;
+  }
+
+  // Class functions
+  get clients() {
+    return Array.from(this.#clients.values()).map(({ address }) => address);
+  }
+
+  get port() {
+    return this.#port;
+  }
+
+  start() {
+    if (this.#server !== undefined || isNaN(this.#port) === true || this.#port <= 0) {
+      return;
+    }
+
+    this.#server = net.createServer((socket) => {
+      let client = { address: socket.remoteAddress + ':' + socket.remotePort, buffer: '' };
+      this.#clients.set(socket, client);
+      this.emit(TelnetProxy.CLIENTS, this.clients);
+
+      socket.setKeepAlive(true);
+      socket.on('data', (data) => {
+        // Clients may terminate lines with CR, LF or CRLF. Denon uses CR only
+        let lines = (client.buffer + data.toString()).replace(/\r\n|\n/g, '\r').split('\r');
+        client.buffer = lines.pop();
+        if (client.buffer.length > MAXLINELENGTH) {
+          client.buffer = '';
+        }
+
+        lines.forEach((line) => {
+          if (line.trim() !== '') {
+            this.emit(TelnetProxy.COMMAND, line.trim(), client.address);
+          }
+        });
+      });
+
+      // eslint-disable-next-line no-unused-vars
+      socket.on('error', (error) => {
+        // Empty, socket will be closed
+      });
+
+      // eslint-disable-next-line no-unused-vars
+      socket.on('close', (hadError) => {
+        this.#clients.delete(socket);
+        this.emit(TelnetProxy.CLIENTS, this.clients);
+      });
+    });
+
+    this.#server.on('error', (error) => {
+      // Failed to listen, ie: port already in use. Clear the server so we can try starting again
+      this.stop();
+      this.emit('error', error);
+    });
+
+    this.#server.listen(this.#port, this.#host);
+  }
+
+  stop() {
+    this.#clients.forEach((client, socket) => {
+      socket.destroy();
+    });
+    this.#clients.clear();
+    if (this.#server !== undefined) {
+      this.#server.close();
+      this.#server = undefined;
+    }
+  }
+
+  broadcast(data) {
+    // Send data received from the receiver to all connected clients
+    this.#clients.forEach((client, socket) => {
+      if (socket.writable === true) {
+        socket.write(data);
+      }
+    });
+  }
+}
@@ -0,0 +1,104 @@
+// Volume curve for a Denon/Marantz AV Receiver zone
+// Part of homebridge-denon-accfactory
+//
+// Maps HomeKit's 0-100% volume onto the receivers volume in dB, between a floor and ceiling
+// Receivers use a volume level of 0 to 98 in 0.5 steps, where a level of 80 is 0dB
+//
+// Profiles are:
+// linear      - each percent is an equal step in dB between the floor and ceiling
+// logarithmic - each halving of the percentage lowers the volume by 10dB, which is heard as roughly half as loud
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+const MINDECIBELS = -80; // Receivers minimum volume, level 0
+const MAXDECIBELS = 18; // Receivers maximum volume, level 98
+const ZERODECIBELLEVEL = 80; // Receivers volume level for 0dB
+
+export default class VolumeCurve {
+  static Profile = {
+    LINEAR: 'linear',
+    LOGARITHMIC: 'logarithmic',
+  };
+
+  // Internal data only for this class
+  #profile = VolumeCurve.Profile.LINEAR;
+  #floor = MINDECIBELS;
+  #ceiling = MAXDECIBELS;
+
+  constructor(options) {
+    this.#profile = Object.values(VolumeCurve.Profile).includes(options?.profile) === true ? options.profile : VolumeCurve.Profile.LINEAR;
+    this.#floor = isNaN(options?.floor) === false ? clamp(Number(options.floor), MINDECIBELS, MAXDECIBELS) : MINDECIBELS;
+    this.#ceiling = isNaN(options?.ceiling) === false ? clamp(Number(options.ceiling), MINDECIBELS, MAXDECIBELS) : MAXDECIBELS;
+    if (this.#ceiling <= this.#floor) {
+      // Floor must be below the ceiling. We always keep the ceiling, as this is what protects the speakers
+      this.#floor = MINDECIBELS;
+    }
+    if (this.#ceiling <= this.#floor) {
+      this.#ceiling = MINDECIBELS + 0.5;
+    }
+  }
+
+  // Class functions
+  get profile() {
+    return this.#profile;
+  }
+
+  get floor() {
+    return this.#floor;
+  }
+
+  get ceiling() {
+    return this.#ceiling;
+  }
+
+  toPercent(decibels) {
+    // Convert the receivers volume in dB to a 0-100% value
+    if (isNaN(decibels) === true || decibels === null || Number(decibels) <= this.#floor) {
+      return 0;
+    }
+
+    decibels = Math.min(Number(decibels), this.#ceiling);
+    let percent = ((decibels - this.#floor) / (this.#ceiling - this.#floor)) * 100;
+    if (this.#profile === VolumeCurve.Profile.LOGARITHMIC) {
+      percent = 100 * Math.pow(2, (decibels - this.#ceiling) / 10);
+    }
+    return clamp(Math.round(percent), 0, 100);
+  }
+
+  toDecibels(percent) {
+    // Convert a 0-100% value to the receivers volume in dB, rounded to the receivers 0.5dB steps
+    percent = isNaN(percent) === false ? clamp(Number(percent), 0, 100) : 0;
+    if (percent === 0) {
+      return this.#floor;
+    }
+
+    let decibels = this.#floor + (percent / 100) * (this.#ceiling - this.#floor);
+    if (this.#profile === VolumeCurve.Profile.LOGARITHMIC) {
+      decibels = Math.max(this.#floor, this.#ceiling + 10 * Math.log2(percent / 100));
+    }
+    return clamp(Math.round(decibels * 2) / 2, this.#floor, this.#ceiling);
+  }
+
+  static toLevel(decibels) {
+    // Convert a volume in dB to the receivers volume level
+    return clamp(Math.round((Number(decibels) + ZERODECIBELLEVEL) * 2) / 2, 0, MAXDECIBELS + ZERODECIBELLEVEL);
+  }
+
+  static toDecibels(level) {
+    // Convert the receivers volume level to dB
+    return Number(level) - ZERODECIBELLEVEL;
+  }
+
+  static formatLevel(level) {
+    // Format a volume level as used in volume commands. Whole levels are two digits (ie: 45), half levels three digits (ie: 455)
+    level = clamp(Math.round(Number(level) * 2) / 2, 0, MAXDECIBELS + ZERODECIBELLEVEL);
+    return Number.isInteger(level) === true ? String(level).padStart(2, '0') : String(level * 10).padStart(3, '0');
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function clamp(value, minimum, maximum) {
+  return Math.min(Math.max(value, minimum), maximum);
+}
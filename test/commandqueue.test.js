@@ -0,0 +1,124 @@
+// Tests for the paced outbound command queue
+// Part of homebridge-denon-accfactory
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate, setTimeout } from 'node:timers';
+
+// Import our modules
+import CommandQueue from '../src/commandqueue.js';
+
+const TIMEOUT = 20; // Short acknowledgement timeout so tests run quickly, in ms
+
+describe('CommandQueue', () => {
+  it('resends a command which is not echoed back', async () => {
+    let sent = [];
+    let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: TIMEOUT, retries: 2 });
+
+    assert.equal(await queue.enqueue('MV50'), false);
+    assert.deepEqual(sent, ['MV50', 'MV50', 'MV50']);
+  });
+
+  it('completes a command once its echo arrives', async () => {
+    let queue = undefined;
+    queue = new CommandQueue(
+      (command) => {
+        setImmediate(() => queue.acknowledge(command));
+        return true;
+      },
+      { spacing: 0, timeout: TIMEOUT },
+    );
+
+    assert.equal(await queue.enqueue('ZMON'), true);
+  });
+
+  it('acknowledges tuner steps and storing with the preset the receiver answers with, and never resends them', async () => {
+    for (let command of ['TPANUP', 'TPANDOWN', 'TPANMEM04']) {
+      let sent = [];
+      let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: TIMEOUT, retries: 2 });
+      let result = queue.enqueue(command);
+      setImmediate(() => queue.acknowledge('TPAN04'));
+      assert.equal(await result, true, command);
+      assert.deepEqual(sent, [command]);
+    }
+
+    let sent = [];
+    let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: TIMEOUT, retries: 2 });
+    assert.equal(await queue.enqueue('TPANUP'), false);
+    assert.equal(await queue.enqueue('MVUP'), false);
+    assert.equal(await queue.enqueue('MSQUICK2 MEMORY'), false);
+    assert.deepEqual(sent, ['TPANUP', 'MVUP', 'MSQUICK2 MEMORY']);
+  });
+
+  it('acknowledges a volume step with the resulting volume', async () => {
+    let queue = undefined;
+    queue = new CommandQueue(
+      () => {
+        setImmediate(() => queue.acknowledge('Z2455'));
+        return true;
+      },
+      { spacing: 0, timeout: TIMEOUT },
+    );
+
+    assert.equal(await queue.enqueue('Z2UP'), true);
+  });
+
+  it('only times the acknowledgement once a held command has been sent', async () => {
+    let sent = [];
+    let queue = undefined;
+    queue = new CommandQueue(
+      async (command) => {
+        // Held for longer than the acknowledgement timeout, ie: while the receiver connects
+        await new Promise((resolve) => setTimeout(resolve, TIMEOUT * 3));
+        sent.push(command);
+        setTimeout(() => queue.acknowledge(command), TIMEOUT / 2);
+        return true;
+      },
+      { spacing: 0, timeout: TIMEOUT, retries: 2 },
+    );
+
+    assert.equal(await queue.enqueue('SICD'), true);
+    assert.deepEqual(sent, ['SICD']);
+  });
+
+  it('uses the timeout and retries given for a command', async () => {
+    let sent = [];
+    let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: 10000, retries: 2 });
+
+    let started = Date.now();
+    assert.equal(await queue.enqueue('PW?', { retries: 0, timeout: TIMEOUT }), false);
+    assert.ok(Date.now() - started < 1000);
+    assert.deepEqual(sent, ['PW?']);
+  });
+
+  it('sends commands ahead of waiting background commands', async () => {
+    let sent = [];
+    let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: TIMEOUT, echo: () => false });
+
+    let results = [queue.enqueue('PW?', { background: true }), queue.enqueue('MU?', { background: true }), queue.enqueue('ZMON')];
+    await Promise.all(results);
+    assert.deepEqual(sent, ['PW?', 'ZMON', 'MU?']);
+  });
+
+  it('treats commands without a known echo as complete once sent', async () => {
+    let sent = [];
+    let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: TIMEOUT });
+
+    assert.equal(await queue.enqueue('MNCUP'), true);
+    assert.deepEqual(sent, ['MNCUP']);
+  });
+
+  it('only sends the latest of queued volume changes', async () => {
+    let sent = [];
+    let queue = new CommandQueue((command) => sent.push(command) !== 0, { spacing: 0, timeout: TIMEOUT, echo: () => false });
+
+    let results = await Promise.all([queue.enqueue('PWON'), queue.enqueue('MV40'), queue.enqueue('MV45'), queue.enqueue('MV50')]);
+    assert.deepEqual(results, [true, true, true, true]);
+    assert.deepEqual(sent, ['PWON', 'MV50']);
+  });
+});
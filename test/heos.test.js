@@ -0,0 +1,177 @@
+// Tests for the HEOS CLI client, against a local stub HEOS CLI server
+// Part of homebridge-denon-accfactory
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { setTimeout } from 'node:timers';
+
+// Import our modules
+import HeosClient from '../src/heos.js';
+
+const HOST = '127.0.0.1';
+const RECONNECTDELAY = 10; // Short reconnect delay so tests run quickly, in ms
+
+let stubs = [];
+let clients = [];
+
+afterEach(async () => {
+  clients.forEach((client) => client.stop());
+  clients = [];
+  await Promise.all(stubs.map((stub) => stub.close()));
+  stubs = [];
+});
+
+describe('HeosClient', () => {
+  it('finds the player for the receiver and loads its state', async () => {
+    let stub = await startStub({ players: [{ pid: 1, ip: HOST, name: 'Living Room' }] });
+    let client = createClient(stub);
+    let online = [];
+    client.on(HeosClient.ONLINE, (value) => online.push(value));
+
+    client.start();
+    await waitFor(() => client.state.favourites.length !== 0);
+
+    assert.deepEqual(online, [true]);
+    assert.equal(client.online, true);
+    assert.equal(client.state.pid, 1);
+    assert.equal(client.state.name, 'Living Room');
+    assert.equal(client.state.playState, HeosClient.PlayState.PLAY);
+    assert.equal(client.state.nowPlaying.title, 'Song');
+    assert.deepEqual(client.state.favourites, [{ preset: 1, name: 'Radio', mid: 's1' }]);
+  });
+
+  it('stops connecting once the player list confirms there is no player for the receiver', async () => {
+    let stub = await startStub({ players: [{ pid: 2, ip: '192.0.2.1', name: 'Kitchen' }] });
+    let client = createClient(stub);
+
+    client.start();
+    await waitFor(() => stub.commands.includes('player/get_players') === true);
+    await new Promise((resolve) => setTimeout(resolve, RECONNECTDELAY * 10));
+
+    assert.equal(stub.connections, 1);
+    assert.equal(client.online, false);
+  });
+
+  it('keeps trying to connect when no player list is received', async () => {
+    let stub = await startStub({ players: undefined });
+    let client = createClient(stub);
+
+    client.start();
+    await waitFor(() => stub.connections >= 2);
+
+    assert.equal(client.online, false);
+  });
+
+  it('does not send player commands before a player is found', async () => {
+    // Player list isn't answered, so we're connected without a player
+    let stub = await startStub({ players: [{ pid: 1, ip: HOST, name: 'Living Room' }], unanswered: ['player/get_players'] });
+    let client = createClient(stub);
+
+    client.start();
+    await waitFor(() => stub.commands.includes('player/get_players') === true);
+    assert.equal(await client.playNext(), false);
+    assert.equal(await client.playPrevious(), false);
+    assert.equal(await client.playFavourite(1), false);
+    assert.equal(await client.setPlayState(HeosClient.PlayState.PLAY), false);
+    assert.deepEqual(stub.commands, ['system/register_for_change_events', 'player/get_players']);
+  });
+
+  it('does not use a connection which completes after being stopped', async () => {
+    let stub = await startStub({ players: [{ pid: 1, ip: HOST, name: 'Living Room' }] });
+    let client = createClient(stub);
+    let online = [];
+    client.on(HeosClient.ONLINE, (value) => online.push(value));
+
+    client.start();
+    client.stop();
+    await new Promise((resolve) => setTimeout(resolve, RECONNECTDELAY * 10));
+
+    assert.deepEqual(online, []);
+    assert.deepEqual(stub.commands, []);
+  });
+});
+
+// General helper functions which don't need to be part of an object class
+function createClient(stub) {
+  let client = new HeosClient(HOST, { port: stub.port, reconnectDelay: RECONNECTDELAY });
+  clients.push(client);
+  return client;
+}
+
+async function startStub(options) {
+  // Minimal HEOS CLI, answering the commands the client sends. Players can be undefined to answer without a player list
+  // Commands listed as unanswered are never responded to
+  let stub = { port: 0, connections: 0, commands: [], sockets: new Set(), server: undefined, close: undefined };
+  stub.server = net.createServer((socket) => {
+    stub.connections++;
+    stub.sockets.add(socket);
+    socket.on('close', () => stub.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    socket.on('data', (data) => {
+      let lines = (buffer + data.toString()).split('\r\n');
+      buffer = lines.pop();
+      lines.forEach((line) => {
+        let [command, query] = line.replace(/^heos:\/\//, '').split('?');
+        stub.commands.push(command);
+        if (Array.isArray(options?.unanswered) === true && options.unanswered.includes(command) === true) {
+          return;
+        }
+        socket.write(JSON.stringify(stubResponse(command, query, options)) + '\r\n');
+      });
+    });
+  });
+  stub.close = () =>
+    new Promise((resolve) => {
+      stub.sockets.forEach((socket) => socket.destroy());
+      stub.server.close(() => resolve());
+    });
+
+  stubs.push(stub);
+  await new Promise((resolve) => stub.server.listen(0, HOST, resolve));
+  stub.port = stub.server.address().port;
+  return stub;
+}
+
+function stubResponse(command, query, options) {
+  let response = { heos: { command: command, result: 'success', message: typeof query === 'string' ? query : '' } };
+  if (command === 'player/get_players' && Array.isArray(options?.players) === false) {
+    response.heos.result = 'fail';
+  }
+  if (command === 'player/get_players' && Array.isArray(options?.players) === true) {
+    response.payload = options.players;
+  }
+  if (command === 'player/get_play_state') {
+    response.heos.message = query + '&state=play';
+  }
+  if (command === 'player/get_now_playing_media') {
+    response.payload = { type: 'song', song: 'Song', artist: 'Artist', album: 'Album', image_url: '' };
+  }
+  if (command === 'player/get_queue') {
+    response.payload = [];
+  }
+  if (command === 'browse/browse') {
+    response.payload = [
+      { name: 'Radio', playable: 'yes', mid: 's1' },
+      { name: 'Folder', playable: 'no' },
+    ];
+  }
+  return response;
+}
+
+async function waitFor(check, timeout = 2000) {
+  let started = Date.now();
+  while (check() !== true) {
+    if (Date.now() - started > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
@@ -0,0 +1,152 @@
+// Tests for the Telnet response parser
+// Part of homebridge-denon-accfactory
+//
+// Transcripts in the fixtures folder are responses recorded from receivers, one per line, with the events we expect them to give
+//
+// Code version 19/10/2026
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { describe, it } from 'node:test';
+import { Buffer } from 'node:buffer';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import url from 'node:url';
+
+// Import our modules
+import TelnetParser from '../src/telnetparser.js';
+
+const FIXTURES = path.join(path.dirname(url.fileURLToPath(import.meta.url)), 'fixtures');
+
+describe('TelnetParser', () => {
+  it('parses a recorded resync transcript', () => {
+    let transcript = loadTranscript('avr-x3700h-resync');
+    let parser = new TelnetParser();
+    let events = parser.push(transcript.lines.map((line) => line + '\r').join(''));
+
+    assert.deepEqual(
+      events.map(({ zone, kind, value }) => (zone !== undefined ? { zone, kind, value } : { kind, value })),
+      transcript.expected,
+    );
+  });
+
+  it('gives the same events when a transcript arrives in small chunks', () => {
+    let transcript = loadTranscript('avr-x3700h-resync');
+    let data = transcript.lines.map((line) => line + '\r').join('');
+    let whole = new TelnetParser().push(data);
+
+    // Split the data at every size from 1 to 16 characters, so lines are broken up at every position
+    for (let size = 1; size <= 16; size++) {
+      let parser = new TelnetParser();
+      let events = [];
+      for (let offset = 0; offset < data.length; offset = offset + size) {
+        events.push(...parser.push(Buffer.from(data.substring(offset, offset + size))));
+      }
+      assert.deepEqual(events, whole, 'chunk size ' + size);
+    }
+  });
+
+  it('holds a partial line until its terminator arrives', () => {
+    let parser = new TelnetParser();
+    assert.deepEqual(parser.push('MV4'), []);
+    assert.deepEqual(parser.push('55\rZM'), [{ zone: 1, kind: 'volume', value: 45.5, raw: 'MV455' }]);
+    assert.deepEqual(parser.push('ON\r'), [{ zone: 1, kind: 'power', value: true, raw: 'ZMON' }]);
+  });
+
+  it('discards a partial line on reset', () => {
+    let parser = new TelnetParser();
+    parser.push('MV4');
+    parser.reset();
+    assert.deepEqual(parser.push('5\r'), [{ zone: undefined, kind: 'unknown', value: '5', raw: '5' }]);
+  });
+
+  it('ignores line feeds and empty lines', () => {
+    let parser = new TelnetParser();
+    assert.deepEqual(parser.push('\r\n\rMUON\r\n'), [{ zone: 1, kind: 'mute', value: true, raw: 'MUON' }]);
+  });
+
+  it('drops a runaway line longer than the maximum line length', () => {
+    let parser = new TelnetParser();
+    assert.deepEqual(parser.push('NSE1' + 'A'.repeat(600)), []);
+
+    // Remainder of the runaway line is treated as a line of its own, and lines after it are unaffected
+    assert.deepEqual(parser.push('BBB\rZMON\r'), [
+      { zone: undefined, kind: 'unknown', value: 'BBB', raw: 'BBB' },
+      { zone: 1, kind: 'power', value: true, raw: 'ZMON' },
+    ]);
+  });
+
+  it('keeps a long line which is under the maximum line length', () => {
+    let parser = new TelnetParser();
+    let text = 'A'.repeat(400);
+    parser.push('NSFRN' + text);
+    assert.deepEqual(parser.push('\r'), [{ zone: undefined, kind: 'friendlyname', value: text, raw: 'NSFRN' + text }]);
+  });
+
+  it('converts volumes, including half steps, and maximum volume', () => {
+    assert.equal(TelnetParser.parseLine('MV45').value, 45);
+    assert.equal(TelnetParser.parseLine('MV455').value, 45.5);
+    assert.equal(TelnetParser.parseLine('MV05').value, 5);
+    assert.equal(TelnetParser.parseLine('MV005').value, 0.5);
+    assert.equal(TelnetParser.parseLine('MV80').value, 80);
+    assert.equal(TelnetParser.parseLine('Z2455').value, 45.5);
+    assert.deepEqual(TelnetParser.parseLine('MVMAX 985'), { zone: 1, kind: 'maxvolume', value: 98.5, raw: 'MVMAX 985' });
+  });
+
+  it('converts tone and channel levels where 50 is 0dB', () => {
+    assert.deepEqual(TelnetParser.parseLine('PSBAS 50').value, { level: 'BASS', value: 0 });
+    assert.deepEqual(TelnetParser.parseLine('PSBAS 44').value, { level: 'BASS', value: -6 });
+    assert.deepEqual(TelnetParser.parseLine('CVC 505').value, { level: 'CENTRE', value: 0.5 });
+    assert.deepEqual(TelnetParser.parseLine('Z2PSTRE 56').value, { level: 'TREBLE', value: 6 });
+  });
+
+  it('only treats known sources as a source for Zone2 and Zone3', () => {
+    assert.deepEqual(TelnetParser.parseLine('Z2SAT/CBL'), { zone: 2, kind: 'source', value: 'SAT/CBL', raw: 'Z2SAT/CBL' });
+    assert.deepEqual(TelnetParser.parseLine('Z3USB/IPOD'), { zone: 3, kind: 'source', value: 'USB/IPOD', raw: 'Z3USB/IPOD' });
+    assert.equal(TelnetParser.parseLine('Z2SOURCE').value, 'SOURCE');
+
+    // Other Zone2/Zone3 responses share the prefix, but aren't sources
+    ['Z2HPFON', 'Z2HPFOFF', 'Z2CSST', 'Z2CSMONO', 'Z2HDAON', 'Z3PSBAS 50', 'Z2CVFL 50', 'Z2SLP030', 'Z2MUON', 'Z2QUICK1'].forEach(
+      (line) => {
+        assert.notEqual(TelnetParser.parseLine(line)?.kind, 'source', line);
+      },
+    );
+  });
+
+  it('separates zone power, mute, volume and sleep timer responses', () => {
+    assert.equal(TelnetParser.parseLine('Z2ON').kind, 'power');
+    assert.equal(TelnetParser.parseLine('Z2MUOFF').kind, 'mute');
+    assert.equal(TelnetParser.parseLine('Z350').kind, 'volume');
+    assert.deepEqual(TelnetParser.parseLine('Z3SLPOFF'), { zone: 3, kind: 'sleeptimer', value: 0, raw: 'Z3SLPOFF' });
+  });
+
+  it('separates Quick Select responses from sound modes', () => {
+    assert.deepEqual(TelnetParser.parseLine('MSQUICK3 MEMORY').value, { type: 'QUICK', slot: 3, stored: true });
+    assert.deepEqual(TelnetParser.parseLine('MSSMART1').value, { type: 'SMART', slot: 1, stored: false });
+    assert.deepEqual(TelnetParser.parseLine('MSSTEREO'), { zone: 1, kind: 'soundmode', value: 'STEREO', raw: 'MSSTEREO' });
+  });
+
+  it('gives responses it does not know as unknown, so they can still be seen as command echoes', () => {
+    let parser = new TelnetParser();
+    assert.deepEqual(parser.push('SSHOSALL ON\r'), [{ zone: undefined, kind: 'unknown', value: 'SSHOSALL ON', raw: 'SSHOSALL ON' }]);
+  });
+
+  it('ignores responses it does not know', () => {
+    assert.equal(TelnetParser.parseLine('SSHOSALL ON'), undefined);
+    assert.equal(TelnetParser.parseLine(''), undefined);
+    assert.equal(TelnetParser.parseLine(undefined), undefined);
+  });
+});
+
+// General helper functions which don't need to be part of an object class
+function loadTranscript(name) {
+  return {
+    lines: fs
+      .readFileSync(path.join(FIXTURES, name + '.txt'), 'utf8')
+      .split('\n')
+      .filter((line) => line !== ''),
+    expected: JSON.parse(fs.readFileSync(path.join(FIXTURES, name + '.json'), 'utf8')),
+  };
+}